@@ -0,0 +1,441 @@
+#!/usr/bin/env node
+/*
+ * cli.js - Headless Command-Line Interface
+ *
+ * Handles:
+ * - Batch compression without starting Electron or a BrowserWindow
+ * - Argument parsing (input, output folder, formats, quality, preset)
+ * - Progress streaming to stderr
+ * - Machine-readable (--json) or human-readable summary on stdout
+ * - Exit codes for CI: 0 success, 1 some files failed, 2 usage or fatal error
+ *
+ * Usage:
+ *   elektron-kompress <input...> [--out dir] [--format webp|avif|jpeg|png|webp-lossless[,...]]
+ *                     [--quality N] [--preset fastest|balanced|smallest|lossless]
+ *                     [--if-larger retry|copy|drop|allow] [--metadata strip|keep|icc|copyright]
+ *                     [--max-width N] [--max-height N] [--longest-edge N] [--scale P]
+ *                     [--fit inside|cover|contain] [--kernel name] [--allow-upscale] [--widths N,N,...]
+ *                     [--max-size KB | --budget KB] [--min-quality N] [--allow-downscale]
+ *                     [--min-ssim S] [--max-quality N]
+ *                     [--include globs] [--exclude globs] [--max-depth N] [--skip-hidden]
+ *                     [--min-file-size KB] [--max-file-size KB] [--min-dimension px] [--max-dimension px]
+ *                     [--incremental [--prune]] [--in-place [--backup dir]]
+ *                     [--recursive] [--flatten-animations] [--concurrency N] [--json] [--verbose]
+ *   elektron-kompress --undo <backup-dir> [--json] [--verbose]
+ */
+
+const path = require('path');
+const ImageProcessor = require('./imageProcessor');
+const InPlaceJournal = require('./inPlaceJournal');
+
+const EXIT_SUCCESS = 0;
+const EXIT_FILES_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: elektron-kompress <input...> [options]
+
+Compress folders and/or image files without opening the app.
+
+Options:
+  --out <dir>          Output folder (default: <input>_compressed next to a single input
+                       folder, compressed_images next to files or several inputs)
+  --format <list>      Output formats, comma separated: ${Object.keys(ImageProcessor.OUTPUT_FORMATS).join(', ')} (default: webp)
+  --quality <N>        Fixed encoder quality 1-100 (default: preset/profile quality)
+  --preset <name>      WebP preset: fastest, balanced, smallest, lossless (default: fastest)
+  --if-larger <policy> Output larger than its source: retry, copy, drop, allow (default: retry)
+  --recursive          Include images in subfolders
+  --flatten-animations Keep only the first frame of animated GIF/WebP sources
+  --metadata <policy>  Metadata kept in outputs: strip, keep, icc, copyright (default: strip)
+  --max-width <px>     Downscale wider images (with --max-height: fit into the box)
+  --max-height <px>    Downscale taller images
+  --longest-edge <px>  Downscale so the longer side is at most <px>
+  --scale <percent>    Resize by a percentage (50 = half size)
+  --fit <mode>         Fit for --max-width/--max-height: inside, cover, contain (default: inside)
+  --kernel <name>      Resampling kernel: ${ImageProcessor.RESIZE_KERNELS.join(', ')} (default: lanczos3)
+  --allow-upscale      Let resize rules enlarge smaller images
+  --max-size <KB>      Target size: search the highest quality whose output fits <KB>
+  --budget <KB>        Target size for the whole run, shared by the files by pixel count
+  --min-quality <N>    Lowest quality the target-size search may choose (default: 20)
+  --allow-downscale    Target size: reduce the resolution when the lowest quality is too big
+  --min-ssim <S>       Quality guard: compare each output with its source (SSIM, 0-1) and
+                       re-encode at a higher quality while the score is below <S> (e.g. 0.95)
+  --max-quality <N>    Highest quality the quality guard may raise to (default: 95)
+  --include <globs>    Only scan files matching these patterns, comma separated (e.g. *.jpg,photos/**);
+                       a pattern without / matches file names at any depth
+  --exclude <globs>    Leave out files and folders matching these patterns (e.g. node_modules,**/thumbs)
+  --max-depth <N>      With --recursive: subfolder levels to scan (0 = top folder only)
+  --skip-hidden        Leave out files and folders whose name starts with a dot
+  --min-file-size <KB> Leave out smaller files
+  --max-file-size <KB> Leave out larger files
+  --min-dimension <px> Leave out images whose shorter side is below <px> (icons, thumbnails)
+  --max-dimension <px> Leave out images whose longer side is above <px>
+  --incremental        Reuse the output folder, skip files unchanged since the last run
+  --prune              With --incremental: remove outputs whose sources were deleted
+  --in-place           Replace the originals, moving them to a backup folder first
+  --backup <dir>       With --in-place: backup folder (default: <input>_backup_<timestamp>)
+  --undo <backup-dir>  Restore the originals of an in-place run from its backup folder
+  --widths <list>      Responsive set: one name-<W>w variant per width and format, comma
+                       separated (e.g. 320,640,1280,1920), plus manifest.json
+  --concurrency <N>    Files processed at once (default: one per CPU core)
+  --json               Print the summary as JSON
+  --verbose            Print processor debug output to stderr
+  --help               Show this help
+`;
+
+// Parse command-line arguments into processor options
+function parseArgs(argv) {
+    const args = {
+        inputs: [],
+        undo: null,
+        json: false,
+        verbose: false,
+        help: false,
+        options: {
+            recursive: false
+        }
+    };
+
+    // Read the value of an option that requires one
+    const takeValue = (index, flag) => {
+        const value = argv[index + 1];
+        if (value === undefined || value.startsWith('--')) {
+            throw new Error(`${flag} requires a value`);
+        }
+        return value;
+    };
+
+    // Resize flags share one rules object, created by the first of them
+    const resize = () => {
+        args.options.resize = args.options.resize || {};
+        return args.options.resize;
+    };
+
+    // Target-size flags likewise
+    const targetSize = () => {
+        args.options.targetSize = args.options.targetSize || {};
+        return args.options.targetSize;
+    };
+
+    // Quality guard flags likewise
+    const qualityGuard = () => {
+        args.options.qualityGuard = args.options.qualityGuard || {};
+        return args.options.qualityGuard;
+    };
+
+    // Scan filter flags likewise (pattern flags add to their list)
+    const scanFilters = () => {
+        args.options.scanFilters = args.options.scanFilters || {};
+        return args.options.scanFilters;
+    };
+    const patterns = (value) => value.split(',').map(pattern => pattern.trim()).filter(Boolean);
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        switch (arg) {
+            case '--out':
+                args.options.outputFolder = path.resolve(takeValue(i++, arg));
+                break;
+            case '--format':
+                args.options.formats = takeValue(i++, arg).split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+                break;
+            case '--quality':
+                args.options.quality = Number(takeValue(i++, arg));
+                break;
+            case '--preset':
+                args.options.preset = takeValue(i++, arg).toLowerCase();
+                break;
+            case '--concurrency':
+                args.options.concurrency = Number(takeValue(i++, arg));
+                break;
+            case '--metadata':
+                args.options.metadataPolicy = takeValue(i++, arg).toLowerCase();
+                break;
+            case '--max-width':
+                resize().maxWidth = Number(takeValue(i++, arg));
+                break;
+            case '--max-height':
+                resize().maxHeight = Number(takeValue(i++, arg));
+                break;
+            case '--longest-edge':
+                resize().longestEdge = Number(takeValue(i++, arg));
+                break;
+            case '--scale':
+                resize().percent = Number(takeValue(i++, arg));
+                break;
+            case '--fit':
+                resize().fit = takeValue(i++, arg).toLowerCase();
+                break;
+            case '--kernel':
+                resize().kernel = takeValue(i++, arg).toLowerCase();
+                break;
+            case '--allow-upscale':
+                resize().withoutEnlargement = false;
+                break;
+            case '--max-size':
+                targetSize().maxKB = Number(takeValue(i++, arg));
+                break;
+            case '--budget':
+                targetSize().budgetKB = Number(takeValue(i++, arg));
+                break;
+            case '--min-quality':
+                targetSize().minQuality = Number(takeValue(i++, arg));
+                break;
+            case '--allow-downscale':
+                targetSize().allowDownscale = true;
+                break;
+            case '--min-ssim':
+                qualityGuard().minScore = Number(takeValue(i++, arg));
+                break;
+            case '--max-quality':
+                qualityGuard().maxQuality = Number(takeValue(i++, arg));
+                break;
+            case '--include':
+                scanFilters().include = [...(scanFilters().include || []), ...patterns(takeValue(i++, arg))];
+                break;
+            case '--exclude':
+                scanFilters().exclude = [...(scanFilters().exclude || []), ...patterns(takeValue(i++, arg))];
+                break;
+            case '--max-depth':
+                scanFilters().maxDepth = Number(takeValue(i++, arg));
+                break;
+            case '--skip-hidden':
+                scanFilters().skipHidden = true;
+                break;
+            case '--min-file-size':
+                scanFilters().minFileSizeKB = Number(takeValue(i++, arg));
+                break;
+            case '--max-file-size':
+                scanFilters().maxFileSizeKB = Number(takeValue(i++, arg));
+                break;
+            case '--min-dimension':
+                scanFilters().minDimension = Number(takeValue(i++, arg));
+                break;
+            case '--max-dimension':
+                scanFilters().maxDimension = Number(takeValue(i++, arg));
+                break;
+            case '--widths':
+                args.options.responsiveWidths = takeValue(i++, arg).split(',').map(width => width.trim()).filter(Boolean).map(Number);
+                break;
+            case '--incremental':
+                args.options.incremental = true;
+                break;
+            case '--prune':
+                args.options.pruneDeleted = true;
+                break;
+            case '--in-place':
+                args.options.inPlace = true;
+                break;
+            case '--backup':
+                args.options.backupFolder = path.resolve(takeValue(i++, arg));
+                break;
+            case '--undo':
+                args.undo = path.resolve(takeValue(i++, arg));
+                break;
+            case '--if-larger':
+                args.options.growthPolicy = takeValue(i++, arg).toLowerCase();
+                break;
+            case '--recursive':
+                args.options.recursive = true;
+                break;
+            case '--flatten-animations':
+                args.options.flattenAnimations = true;
+                break;
+            case '--json':
+                args.json = true;
+                break;
+            case '--verbose':
+                args.verbose = true;
+                break;
+            case '--help':
+            case '-h':
+                args.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                args.inputs.push(path.resolve(arg));
+        }
+    }
+
+    return args;
+}
+
+// Write a progress line to stderr
+function reportProgress(progressData) {
+    const counter = progressData.total > 0 ? `[${progressData.current}/${progressData.total}] ` : '';
+    process.stderr.write(`${counter}${progressData.percent.toFixed(1)}% ${progressData.message}\n`);
+}
+
+// Build the machine-readable summary
+function buildSummary(inputPaths, options, result) {
+    const failed = result.results.filter(file => !file.success && !file.skipped);
+    const skipped = result.results.filter(file => file.skipped && !file.unchanged);
+
+    return {
+        success: failed.length === 0,
+        inputs: inputPaths,
+        outputPath: result.outputPath,
+        manifestPath: result.manifestPath,
+        backupFolder: result.backupFolder,
+        totalFiles: result.totalFiles,
+        processedFiles: result.processedFiles,
+        failedFiles: failed.length,
+        skippedFiles: skipped.length,
+        unchangedFiles: result.unchangedFiles,
+        pruned: result.pruned,
+        flattenAnimations: Boolean(options.flattenAnimations),
+        compressionStats: result.compressionStats,
+        collisions: result.collisions,
+        filtered: result.filtered,
+        files: result.results
+    };
+}
+
+// Print the human-readable summary
+function printSummary(summary) {
+    const stats = summary.compressionStats;
+    const lines = [
+        `Output folder:   ${summary.outputPath || 'in place (next to the originals)'}`,
+        `Files processed: ${summary.processedFiles}/${summary.totalFiles}`,
+        `Original size:   ${stats.originalSize}`,
+        `Compressed size: ${stats.compressedSize}`,
+        `Space saved:     ${stats.spaceSaved} (${stats.compressionPercent})`
+    ];
+
+    if (summary.backupFolder) {
+        lines.push(`Backup:          ${summary.backupFolder} (undo: --undo <this folder>)`);
+    }
+    if (summary.manifestPath) {
+        lines.push(`Manifest:        ${summary.manifestPath}`);
+    }
+    if (stats.formats.length > 1) {
+        stats.formats.forEach(format => {
+            lines.push(`  ${format.format}: ${format.compressedSize} (${format.compressionPercent} saved)`);
+        });
+    }
+    const growth = stats.growth;
+    if (growth.retried + growth.copied + growth.dropped > 0) {
+        lines.push(`Larger than source: ${growth.retried} retried, ${growth.copied} original kept, ${growth.dropped} dropped`);
+    }
+    const animated = summary.files.filter(file => file.animated);
+    if (animated.length > 0) {
+        lines.push(`Animated:        ${animated.length} (${summary.flattenAnimations ? 'flattened to first frame' : 'animation kept'})`);
+    }
+    if (summary.unchangedFiles > 0) {
+        lines.push(`Unchanged:       ${summary.unchangedFiles}`);
+    }
+    if (summary.pruned.length > 0) {
+        lines.push(`Removed:         ${summary.pruned.length} (source deleted)`);
+    }
+    if (summary.skippedFiles > 0) {
+        lines.push(`Skipped:         ${summary.skippedFiles}`);
+    }
+    if (summary.filtered.length > 0) {
+        const folders = summary.filtered.filter(entry => entry.isFolder).length;
+        lines.push(`Filtered out:    ${summary.filtered.length - folders} files, ${folders} folders (scan filters)`);
+    }
+    stats.targetMisses.forEach(miss => {
+        lines.push(`OVER TARGET ${miss.relativePath} (${miss.format}${miss.width ? ` ${miss.width}w` : ''}): ${miss.size} > ${miss.target}`);
+    });
+    const qualityChecks = stats.qualityChecks;
+    if (qualityChecks.checked > 0) {
+        lines.push(`Quality checked: ${qualityChecks.checked} outputs, ${qualityChecks.raised} re-encoded at a higher quality`);
+    }
+    stats.qualityMisses.forEach(miss => {
+        lines.push(`BELOW QUALITY ${miss.relativePath} (${miss.format}${miss.width ? ` ${miss.width}w` : ''}): SSIM ${miss.ssim} at quality ${miss.quality}`);
+    });
+    summary.files.filter(file => !file.success && !file.skipped).forEach(file => {
+        lines.push(`FAILED ${file.relativePath}: ${file.error}`);
+    });
+
+    process.stdout.write(lines.join('\n') + '\n');
+}
+
+// Restore the originals of an in-place run
+async function undoRun(args) {
+    if (!args.verbose) {
+        console.log = () => {};
+    }
+
+    try {
+        const result = await InPlaceJournal.undo(args.undo);
+        if (args.json) {
+            process.stdout.write(JSON.stringify({ success: result.errors.length === 0, backupFolder: args.undo, ...result }, null, 2) + '\n');
+        } else {
+            process.stdout.write(`Restored ${result.restored} originals, removed ${result.removed} outputs\n`);
+            result.errors.forEach(error => process.stdout.write(`FAILED ${error.path}: ${error.error}\n`));
+        }
+        return result.errors.length === 0 ? EXIT_SUCCESS : EXIT_FILES_FAILED;
+    } catch (error) {
+        process.stderr.write(`Undo failed: ${error.message}\n`);
+        return EXIT_USAGE;
+    }
+}
+
+async function main(argv) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return EXIT_SUCCESS;
+    }
+
+    if (args.undo) {
+        return undoRun(args);
+    }
+
+    if (args.inputs.length === 0) {
+        process.stderr.write(`Missing input folder or files\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    // The processor logs debug output with console.log - keep stdout for the summary
+    console.log = args.verbose
+        ? (...messages) => process.stderr.write(messages.join(' ') + '\n')
+        : () => {};
+
+    let processor;
+    try {
+        processor = new ImageProcessor(args.options);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n`);
+        return EXIT_USAGE;
+    }
+
+    // Stop cleanly on Ctrl+C
+    process.once('SIGINT', () => {
+        process.stderr.write('Cancelling...\n');
+        processor.cancel();
+    });
+
+    try {
+        const result = await processor.processImages(args.inputs, reportProgress);
+        const summary = buildSummary(args.inputs, args.options, result);
+
+        if (args.json) {
+            process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+        } else {
+            printSummary(summary);
+        }
+
+        return summary.success ? EXIT_SUCCESS : EXIT_FILES_FAILED;
+    } catch (error) {
+        if (args.json) {
+            process.stdout.write(JSON.stringify({ success: false, inputs: args.inputs, error: error.message }, null, 2) + '\n');
+        }
+        process.stderr.write(`${error.message}\n`);
+        return EXIT_USAGE;
+    }
+}
+
+main(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+});
@@ -0,0 +1,83 @@
+/*
+ * comparisonPreview.js - Before/After Comparison Images
+ *
+ * Handles:
+ * - Loading a source or output image for the comparison viewer as a data URL
+ * - Converting formats the renderer can't display (TIFF) to PNG
+ * - File size and pixel dimensions (upright, as displayed) of each side
+ * - Limiting previews to the sources and outputs of finished runs
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+
+// Formats Chromium displays as they are - anything else is converted to PNG
+const DISPLAYABLE_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.bmp': 'image/bmp',
+    '.svg': 'image/svg+xml'
+};
+
+class ComparisonPreview {
+    constructor() {
+        this.allowedPaths = new Set(); // Sources and outputs of finished runs
+    }
+
+    // Allow previews of a finished run's sources (in-place: their backups) and outputs
+    allowResult(result) {
+        for (const file of result.results || []) {
+            for (const filePath of [file.backupPath || file.sourcePath, ...(file.outputs || []).map(output => output.finalPath)]) {
+                if (filePath) {
+                    this.allowedPaths.add(path.resolve(filePath));
+                }
+            }
+        }
+    }
+
+    // Load one image: { dataUrl, size, width, height, format, converted }
+    async load(filePath) {
+        const resolvedPath = path.resolve(filePath);
+        if (!this.allowedPaths.has(resolvedPath)) {
+            throw new Error(`Not part of a finished run: ${filePath}`);
+        }
+
+        const [stats, metadata] = await Promise.all([
+            fs.stat(resolvedPath),
+            sharp(resolvedPath).metadata()
+        ]);
+
+        // EXIF orientations 5-8 are displayed with width and height swapped
+        const height = metadata.pageHeight || metadata.height;
+        const isRotated = metadata.orientation >= 5;
+        const preview = {
+            size: stats.size,
+            width: isRotated ? height : metadata.width,
+            height: isRotated ? metadata.width : height,
+            format: metadata.format,
+            converted: false
+        };
+
+        const mimeType = DISPLAYABLE_TYPES[path.extname(resolvedPath).toLowerCase()];
+        if (mimeType) {
+            const data = await fs.readFile(resolvedPath);
+            preview.dataUrl = `data:${mimeType};base64,${data.toString('base64')}`;
+        } else {
+            // Upright first page - the viewer compares it with an upright output
+            const data = await sharp(resolvedPath).rotate().png().toBuffer();
+            preview.dataUrl = `data:image/png;base64,${data.toString('base64')}`;
+            preview.converted = true;
+        }
+
+        return preview;
+    }
+}
+
+ComparisonPreview.DISPLAYABLE_TYPES = DISPLAYABLE_TYPES;
+
+module.exports = ComparisonPreview;
@@ -0,0 +1,151 @@
+/*
+ * compressionPresets.js - WebP Compression Presets
+ *
+ * Handles:
+ * - Named presets (Fastest, Balanced, Smallest, Lossless)
+ * - Custom mode with per-input-format settings
+ * - Validating and clamping user-entered settings
+ * - Resolving the WebP settings for a given input file
+ */
+
+// Input file extensions grouped into the formats presets are defined for
+const INPUT_FORMAT_GROUPS = {
+    '.jpg': 'jpeg',
+    '.jpeg': 'jpeg',
+    '.png': 'png',
+    '.gif': 'gif',
+    '.svg': 'svg',
+    '.tiff': 'tiff',
+    '.tif': 'tiff',
+    '.bmp': 'bmp',
+    '.webp': 'webp'
+};
+
+// Editable WebP settings and their allowed ranges
+const SETTING_FIELDS = {
+    quality: { type: 'number', min: 1, max: 100 },
+    alphaQuality: { type: 'number', min: 0, max: 100 },
+    effort: { type: 'number', min: 0, max: 6 },
+    nearLossless: { type: 'boolean' },
+    smartSubsample: { type: 'boolean' },
+    lossless: { type: 'boolean' }
+};
+
+class CompressionPresets {
+    constructor() {
+        this.inputGroups = ['jpeg', 'png', 'gif', 'svg', 'tiff', 'bmp', 'webp'];
+
+        this.presets = {
+            fastest: {
+                label: 'Fastest',
+                description: 'Minimal encoder effort - the original speed-first settings',
+                base: { quality: 75, alphaQuality: 75, effort: 1, nearLossless: false, smartSubsample: false, lossless: false },
+                overrides: {
+                    png: { quality: 80, alphaQuality: 80 },
+                    svg: { lossless: true }
+                }
+            },
+            balanced: {
+                label: 'Balanced',
+                description: 'Better quality per byte at moderate encoder effort',
+                base: { quality: 80, alphaQuality: 90, effort: 4, nearLossless: false, smartSubsample: true, lossless: false },
+                overrides: {
+                    png: { quality: 85 },
+                    svg: { lossless: true, smartSubsample: false }
+                }
+            },
+            smallest: {
+                label: 'Smallest',
+                description: 'Maximum encoder effort and lower quality for the smallest files',
+                base: { quality: 65, alphaQuality: 70, effort: 6, nearLossless: false, smartSubsample: true, lossless: false },
+                overrides: {
+                    png: { quality: 70, alphaQuality: 75 },
+                    svg: { quality: 60, nearLossless: true, smartSubsample: false }
+                }
+            },
+            lossless: {
+                label: 'Lossless',
+                description: 'Pixel-exact output, larger files',
+                base: { quality: 75, alphaQuality: 100, effort: 4, nearLossless: false, smartSubsample: false, lossless: true },
+                overrides: {}
+            }
+        };
+    }
+
+    // Get the full settings table of a named preset (input group -> WebP settings)
+    getPresetSettings(presetId) {
+        const preset = this.presets[presetId];
+        if (!preset) {
+            throw new Error(`Unknown compression preset: ${presetId}`);
+        }
+
+        const settings = {};
+        for (const group of this.inputGroups) {
+            settings[group] = { ...preset.base, ...(preset.overrides[group] || {}) };
+        }
+        return settings;
+    }
+
+    // Get presets in a serializable form for the settings view
+    getPresetList() {
+        return {
+            inputGroups: this.inputGroups,
+            fields: SETTING_FIELDS,
+            presets: Object.entries(this.presets).map(([id, preset]) => ({
+                id: id,
+                label: preset.label,
+                description: preset.description,
+                settings: this.getPresetSettings(id)
+            }))
+        };
+    }
+
+    // Resolve a preset option into a settings table.
+    // Accepts a preset id ('balanced') or { id: 'custom', settings: { png: {...}, ... } }
+    resolve(preset) {
+        if (typeof preset === 'string') {
+            return this.getPresetSettings(preset);
+        }
+
+        if (!preset || preset.id !== 'custom') {
+            return this.getPresetSettings(preset && preset.id);
+        }
+
+        // Custom settings start from Fastest so missing groups or fields stay valid
+        const settings = this.getPresetSettings('fastest');
+        for (const group of this.inputGroups) {
+            const custom = (preset.settings && preset.settings[group]) || {};
+            settings[group] = this.normalizeSettings({ ...settings[group], ...custom });
+        }
+        return settings;
+    }
+
+    // Clamp numbers into range and coerce flags, dropping unknown fields
+    normalizeSettings(settings) {
+        const normalized = {};
+
+        for (const [field, rule] of Object.entries(SETTING_FIELDS)) {
+            const value = settings[field];
+
+            if (rule.type === 'boolean') {
+                normalized[field] = Boolean(value);
+            } else {
+                const number = Math.round(Number(value));
+                if (!Number.isFinite(number)) {
+                    throw new Error(`Invalid value for ${field}: ${value}`);
+                }
+                normalized[field] = Math.min(rule.max, Math.max(rule.min, number));
+            }
+        }
+
+        return normalized;
+    }
+
+    // Get WebP settings for an input file extension from a resolved settings table
+    getSettingsForInput(settingsTable, inputFormat) {
+        const group = INPUT_FORMAT_GROUPS[inputFormat.toLowerCase()] || 'jpeg';
+        return { ...settingsTable[group] };
+    }
+}
+
+module.exports = CompressionPresets;
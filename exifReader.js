@@ -0,0 +1,84 @@
+/*
+ * exifReader.js - Minimal EXIF Text Tag Reader
+ *
+ * Handles:
+ * - Parsing the raw EXIF block Sharp returns in metadata().exif
+ * - Both byte orders (Intel "II" and Motorola "MM")
+ * - Reading ASCII tags from IFD0 (Artist, Copyright, ...)
+ * - Ignoring truncated or malformed blocks instead of failing the file
+ */
+
+// IFD0 text tags by name, as used by Sharp's withExif({ IFD0: {...} })
+const IFD0_TEXT_TAGS = {
+    Artist: 0x013b,
+    Copyright: 0x8298
+};
+
+const TYPE_ASCII = 2;
+const ENTRY_SIZE = 12;
+
+class ExifReader {
+    // Read IFD0 text tags by name, returns only the tags present with a non-empty value
+    readTextTags(exifBuffer, tagNames = Object.keys(IFD0_TEXT_TAGS)) {
+        const tags = {};
+        const tiff = this.getTiffBlock(exifBuffer);
+        if (!tiff) {
+            return tags;
+        }
+
+        try {
+            const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+            const readUInt16 = offset => littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+            const readUInt32 = offset => littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+
+            if (readUInt16(2) !== 42) {
+                return tags;
+            }
+
+            const ifdOffset = readUInt32(4);
+            const entryCount = readUInt16(ifdOffset);
+            const wanted = new Map(tagNames
+                .filter(name => IFD0_TEXT_TAGS[name] !== undefined)
+                .map(name => [IFD0_TEXT_TAGS[name], name]));
+
+            for (let i = 0; i < entryCount; i++) {
+                const entryOffset = ifdOffset + 2 + i * ENTRY_SIZE;
+                const tagId = readUInt16(entryOffset);
+                if (!wanted.has(tagId) || readUInt16(entryOffset + 2) !== TYPE_ASCII) {
+                    continue;
+                }
+
+                // Values of up to 4 bytes are stored inline, longer ones at an offset
+                const count = readUInt32(entryOffset + 4);
+                const valueOffset = count <= 4 ? entryOffset + 8 : readUInt32(entryOffset + 8);
+                if (valueOffset + count > tiff.length) {
+                    continue;
+                }
+
+                const value = tiff.toString('utf8', valueOffset, valueOffset + count).replace(/\0+$/, '').trim();
+                if (value) {
+                    tags[wanted.get(tagId)] = value;
+                }
+            }
+        } catch (error) {
+            // Truncated block - keep whatever was read so far
+            console.log('Could not fully read EXIF block:', error.message);
+        }
+
+        return tags;
+    }
+
+    // Strip the optional "Exif\0\0" prefix and return the TIFF structure
+    getTiffBlock(exifBuffer) {
+        if (!Buffer.isBuffer(exifBuffer) || exifBuffer.length < 8) {
+            return null;
+        }
+        const tiff = exifBuffer.toString('latin1', 0, 4) === 'Exif' ? exifBuffer.subarray(6) : exifBuffer;
+        const byteOrder = tiff.toString('latin1', 0, 2);
+        return byteOrder === 'II' || byteOrder === 'MM' ? tiff : null;
+    }
+}
+
+ExifReader.IFD0_TEXT_TAGS = IFD0_TEXT_TAGS;
+
+module.exports = ExifReader;
@@ -12,6 +12,9 @@
 const path = require('path');
 const fs = require('fs').promises;
 
+// Prefix of the temp folders holding sanitized copies (swept when left behind)
+const TEMP_DIR_PREFIX = 'temp_imagemin_';
+
 class FileNameSanitizer {
     constructor() {
         // Characters that cause problems in file processing
@@ -148,8 +151,10 @@ class FileNameSanitizer {
     // Generate unique temp directory name
     getTempDirName() {
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-        return `temp_imagemin_${timestamp}_${Math.random().toString(36).substring(7)}`;
+        return `${TEMP_DIR_PREFIX}${timestamp}_${Math.random().toString(36).substring(7)}`;
     }
 }
 
+FileNameSanitizer.TEMP_DIR_PREFIX = TEMP_DIR_PREFIX;
+
 module.exports = FileNameSanitizer;
\ No newline at end of file
@@ -4,8 +4,13 @@
  * Handles:
  * - Measuring file sizes before compression
  * - Measuring file sizes after compression
- * - Calculating compression statistics and savings
+ * - Calculating compression statistics and savings (overall and per output format)
  * - Formatting size data for display
+ * - Tracking files by their path relative to the input folder
+ * - Counting outputs handled by the never-grow safeguard
+ * - Leaving skipped and unchanged (incremental) files out of the totals
+ * - Chosen quality per output and files that missed their target size
+ * - Quality guard scores (SSIM), re-encoded outputs and outputs below the threshold
  */
 
 const fs = require('fs').promises;
@@ -32,6 +37,7 @@ class FileSizeAnalyzer {
                 const stats = await fs.stat(imageFile.fullPath);
                 const fileData = {
                     name: imageFile.name,
+                    relativePath: imageFile.relativePath,
                     path: imageFile.fullPath,
                     size: stats.size,
                     extension: imageFile.extension
@@ -45,6 +51,7 @@ class FileSizeAnalyzer {
                 console.error(`Error measuring ${imageFile.name}:`, error.message);
                 inputData.files.push({
                     name: imageFile.name,
+                    relativePath: imageFile.relativePath,
                     path: imageFile.fullPath,
                     size: 0,
                     error: error.message
@@ -67,52 +74,128 @@ class FileSizeAnalyzer {
             files: [],
             totalSize: 0,
             totalFiles: 0,
-            successfulFiles: 0
+            successfulFiles: 0,
+            formats: {}, // format -> { totalSize, files }
+            growth: { retried: 0, copied: 0, dropped: 0 }, // never-grow safeguard outcomes
+            targetMisses: [], // target-size mode: outputs still over their limit
+            qualityChecks: { checked: 0, raised: 0 }, // quality guard: outputs scored, re-encoded higher
+            qualityMisses: [] // quality guard: outputs still below the threshold at the highest quality
         };
 
         for (const result of processingResults) {
             if (!result.success) {
                 outputData.files.push({
                     name: result.original,
+                    relativePath: result.relativePath,
                     size: 0,
+                    skipped: Boolean(result.skipped),
+                    unchanged: Boolean(result.unchanged),
                     error: result.error || 'Processing failed'
                 });
                 continue;
             }
 
             try {
-                // Look for the compressed file
-                let compressedFilePath;
-                
-                if (result.finalPath) {
-                    // From sanitizer - has finalPath
-                    compressedFilePath = result.finalPath;
-                } else if (result.compressed) {
-                    // From direct processing - has compressed filename
-                    compressedFilePath = path.join(outputPath, result.compressed);
-                } else {
-                    // Fallback - construct path
-                    const compressedName = path.basename(result.original, path.extname(result.original)) + '.webp';
-                    compressedFilePath = path.join(outputPath, compressedName);
+                // Every output format written for this file (older results have a single WebP)
+                const outputs = result.outputs || [{
+                    format: 'webp',
+                    compressed: result.compressed,
+                    finalPath: result.finalPath
+                }];
+                const measuredOutputs = [];
+
+                for (const output of outputs) {
+                    if (output.growth === 'dropped') {
+                        // Output dropped by the never-grow safeguard - the original stays as it is
+                        measuredOutputs.push({
+                            format: output.format,
+                            name: result.original,
+                            path: null,
+                            size: this.getInputSize(result.relativePath),
+                            growth: output.growth
+                        });
+                        continue;
+                    }
+
+                    const compressedFilePath = this.resolveOutputPath(outputPath, result, output);
+                    const stats = await fs.stat(compressedFilePath);
+                    measuredOutputs.push({
+                        format: output.format,
+                        name: output.compressed || path.basename(compressedFilePath),
+                        path: compressedFilePath,
+                        size: stats.size,
+                        growth: output.growth,
+                        animated: output.animated,
+                        width: output.width,
+                        quality: output.quality,
+                        targetBytes: output.targetBytes,
+                        targetMet: output.targetMet,
+                        scale: output.scale,
+                        ssim: output.ssim,
+                        qualityPassed: output.qualityPassed,
+                        qualityRaised: output.qualityRaised
+                    });
                 }
 
-                const stats = await fs.stat(compressedFilePath);
+                // The first output is the primary format used for the headline numbers
+                const primary = measuredOutputs[0];
                 const fileData = {
-                    name: result.compressed || result.original,
+                    name: primary.name,
                     originalName: result.original,
-                    path: compressedFilePath,
-                    size: stats.size
+                    relativePath: result.relativePath,
+                    path: primary.path,
+                    size: primary.size,
+                    animated: Boolean(result.animated),
+                    frames: result.frames,
+                    originalDimensions: result.originalWidth ? { width: result.originalWidth, height: result.originalHeight } : null,
+                    dimensions: result.width ? { width: result.width, height: result.height } : null,
+                    outputs: measuredOutputs
                 };
                 
                 outputData.files.push(fileData);
-                outputData.totalSize += stats.size;
+                outputData.totalSize += primary.size;
                 outputData.successfulFiles++;
-                
-                console.log(`Output: ${fileData.name} - ${this.formatBytes(stats.size)}`);
+
+                for (const output of measuredOutputs) {
+                    if (output.growth) {
+                        outputData.growth[output.growth]++;
+                    }
+                    if (output.targetMet === false) {
+                        outputData.targetMisses.push({
+                            relativePath: result.relativePath,
+                            format: output.format,
+                            width: output.width,
+                            size: output.size,
+                            targetBytes: output.targetBytes
+                        });
+                    }
+                    if (output.ssim !== undefined) {
+                        outputData.qualityChecks.checked++;
+                        if (output.qualityRaised) {
+                            outputData.qualityChecks.raised++;
+                        }
+                        if (output.qualityPassed === false) {
+                            outputData.qualityMisses.push({
+                                relativePath: result.relativePath,
+                                format: output.format,
+                                width: output.width,
+                                quality: output.quality,
+                                ssim: output.ssim
+                            });
+                        }
+                    }
+                    if (!outputData.formats[output.format]) {
+                        outputData.formats[output.format] = { totalSize: 0, files: 0 };
+                    }
+                    outputData.formats[output.format].totalSize += output.size;
+                    outputData.formats[output.format].files++;
+                    console.log(`Output: ${output.name} - ${this.formatBytes(output.size)}`);
+                }
             } catch (error) {
                 console.error(`Error measuring output for ${result.original}:`, error.message);
                 outputData.files.push({
                     name: result.original,
+                    relativePath: result.relativePath,
                     size: 0,
                     error: error.message
                 });
@@ -128,17 +211,60 @@ class FileSizeAnalyzer {
         return outputData;
     }
 
+    // Measured size of an input file by its relative path
+    getInputSize(relativePath) {
+        const inputFile = this.inputStats && this.inputStats.files.find(file => file.relativePath === relativePath);
+        return inputFile ? inputFile.size : 0;
+    }
+
+    // Find the compressed file for one output of a processing result
+    resolveOutputPath(outputPath, result, output) {
+        if (output.finalPath) {
+            // Processor reports the absolute path
+            return output.finalPath;
+        }
+        if (output.compressed) {
+            // Compressed name relative to the output folder
+            return path.join(outputPath, output.compressed);
+        }
+        // Fallback - construct path next to the original's relative location
+        const relativeSource = result.relativePath || result.original;
+        const compressedName = path.basename(relativeSource, path.extname(relativeSource)) + '.webp';
+        return path.join(outputPath, path.dirname(relativeSource), compressedName);
+    }
+
     // Calculate compression statistics
     calculateStats() {
         if (!this.inputStats || !this.outputStats) {
             throw new Error('Must measure both input and output sizes first');
         }
 
-        const inputSize = this.inputStats.totalSize;
+        // Skipped files (e.g. name collisions) produce no output - leave them out of the totals
+        const skippedPaths = new Set(
+            this.outputStats.files.filter(file => file.skipped).map(file => file.relativePath)
+        );
+        const unchangedFiles = this.outputStats.files.filter(file => file.unchanged).length;
+        const skippedSize = this.inputStats.files
+            .filter(file => skippedPaths.has(file.relativePath))
+            .reduce((total, file) => total + file.size, 0);
+
+        const inputSize = this.inputStats.totalSize - skippedSize;
         const outputSize = this.outputStats.totalSize;
         const savings = inputSize - outputSize;
         const compressionRatio = inputSize > 0 ? (savings / inputSize) * 100 : 0;
 
+        // Per-format breakdown - each format is compared against the same input
+        const formats = Object.entries(this.outputStats.formats || {}).map(([format, data]) => {
+            const formatSavings = inputSize - data.totalSize;
+            return {
+                format: format,
+                outputSize: data.totalSize,
+                savings: formatSavings,
+                compressionRatio: inputSize > 0 ? (formatSavings / inputSize) * 100 : 0,
+                files: data.files
+            };
+        });
+
         const stats = {
             inputSize: inputSize,
             outputSize: outputSize,
@@ -146,14 +272,31 @@ class FileSizeAnalyzer {
             compressionRatio: compressionRatio,
             inputFiles: this.inputStats.totalFiles,
             outputFiles: this.outputStats.successfulFiles,
-            failedFiles: this.inputStats.totalFiles - this.outputStats.successfulFiles
+            skippedFiles: skippedPaths.size,
+            unchangedFiles: unchangedFiles, // Incremental mode, counted in skippedFiles too
+            failedFiles: this.inputStats.totalFiles - this.outputStats.successfulFiles - skippedPaths.size,
+            formats: formats,
+            growth: this.outputStats.growth || { retried: 0, copied: 0, dropped: 0 },
+            targetMisses: this.outputStats.targetMisses || [],
+            qualityChecks: this.outputStats.qualityChecks || { checked: 0, raised: 0 },
+            qualityMisses: this.outputStats.qualityMisses || []
         };
 
         console.log('=== COMPRESSION STATISTICS ===');
         console.log(`Original size: ${this.formatBytes(stats.inputSize)}`);
         console.log(`Compressed size: ${this.formatBytes(stats.outputSize)}`);
         console.log(`Space saved: ${this.formatBytes(stats.savings)} (${stats.compressionRatio.toFixed(1)}%)`);
-        console.log(`Files processed: ${stats.outputFiles}/${stats.inputFiles}`);
+        console.log(`Files processed: ${stats.outputFiles}/${stats.inputFiles} (${stats.skippedFiles} skipped)`);
+        formats.forEach(format => {
+            console.log(`  ${format.format}: ${this.formatBytes(format.outputSize)} (${format.compressionRatio.toFixed(1)}% saved)`);
+        });
+        console.log(`Larger than source: ${stats.growth.retried} retried, ${stats.growth.copied} copied, ${stats.growth.dropped} dropped`);
+        if (stats.targetMisses.length > 0) {
+            console.log(`Over target size: ${stats.targetMisses.length} outputs`);
+        }
+        if (stats.qualityChecks.checked > 0) {
+            console.log(`Quality checked: ${stats.qualityChecks.checked} outputs, ${stats.qualityChecks.raised} re-encoded higher, ${stats.qualityMisses.length} below threshold`);
+        }
         console.log('===============================');
 
         return stats;
@@ -167,6 +310,25 @@ class FileSizeAnalyzer {
             spaceSaved: this.formatBytes(stats.savings),
             compressionPercent: stats.compressionRatio.toFixed(1) + '%',
             filesProcessed: `${stats.outputFiles}/${stats.inputFiles}`,
+            filesSkipped: stats.skippedFiles,
+            filesUnchanged: stats.unchangedFiles,
+            growth: stats.growth,
+            targetMisses: (stats.targetMisses || []).map(miss => ({
+                relativePath: miss.relativePath,
+                format: miss.format,
+                width: miss.width,
+                size: this.formatBytes(miss.size),
+                target: this.formatBytes(miss.targetBytes)
+            })),
+            qualityChecks: stats.qualityChecks,
+            qualityMisses: stats.qualityMisses || [],
+            formats: (stats.formats || []).map(format => ({
+                format: format.format,
+                compressedSize: this.formatBytes(format.outputSize),
+                spaceSaved: this.formatBytes(format.savings),
+                compressionPercent: format.compressionRatio.toFixed(1) + '%',
+                files: format.files
+            })),
             summary: `Saved ${this.formatBytes(stats.savings)} (${stats.compressionRatio.toFixed(1)}%) from ${stats.inputFiles} files`
         };
     }
@@ -196,16 +358,18 @@ class FileSizeAnalyzer {
 
         const comparison = [];
         
-        // Create a map of output files by original name for quick lookup
+        // Create a map of output files by relative path for quick lookup
+        // (names alone are not unique once subfolders are involved)
         const outputMap = new Map();
         this.outputStats.files.forEach(file => {
-            if (file.originalName) {
-                outputMap.set(file.originalName, file);
+            const key = file.relativePath || file.originalName;
+            if (key) {
+                outputMap.set(key, file);
             }
         });
 
         this.inputStats.files.forEach(inputFile => {
-            const outputFile = outputMap.get(inputFile.name);
+            const outputFile = outputMap.get(inputFile.relativePath || inputFile.name);
             
             if (outputFile && !outputFile.error) {
                 const savings = inputFile.size - outputFile.size;
@@ -213,20 +377,52 @@ class FileSizeAnalyzer {
                 
                 comparison.push({
                     filename: inputFile.name,
+                    relativePath: inputFile.relativePath,
+                    sourcePath: inputFile.path,
+                    outputPath: outputFile.path,
                     originalSize: this.formatBytes(inputFile.size),
                     compressedSize: this.formatBytes(outputFile.size),
                     savings: this.formatBytes(savings),
                     ratio: ratio.toFixed(1) + '%',
-                    success: true
+                    originalBytes: inputFile.size,
+                    compressedBytes: outputFile.size,
+                    savingsBytes: savings,
+                    success: true,
+                    animated: outputFile.animated,
+                    frames: outputFile.frames,
+                    originalDimensions: outputFile.originalDimensions,
+                    dimensions: outputFile.dimensions,
+                    formats: (outputFile.outputs || []).map(output => ({
+                        format: output.format,
+                        path: output.path,
+                        growth: output.growth,
+                        animated: output.animated,
+                        width: output.width,
+                        quality: output.quality,
+                        targetMet: output.targetMet,
+                        scale: output.scale,
+                        ssim: output.ssim,
+                        qualityPassed: output.qualityPassed,
+                        compressedSize: this.formatBytes(output.size),
+                        savings: this.formatBytes(inputFile.size - output.size),
+                        bytes: output.size
+                    }))
                 });
             } else {
                 comparison.push({
                     filename: inputFile.name,
+                    relativePath: inputFile.relativePath,
+                    sourcePath: inputFile.path,
                     originalSize: this.formatBytes(inputFile.size),
-                    compressedSize: 'Failed',
+                    compressedSize: outputFile?.unchanged ? 'Unchanged' : outputFile?.skipped ? 'Skipped' : 'Failed',
                     savings: '0 B',
                     ratio: '0%',
+                    originalBytes: inputFile.size,
+                    compressedBytes: 0,
+                    savingsBytes: 0,
                     success: false,
+                    skipped: Boolean(outputFile?.skipped),
+                    unchanged: Boolean(outputFile?.unchanged),
                     error: outputFile?.error || 'Processing failed'
                 });
             }
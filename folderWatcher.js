@@ -0,0 +1,203 @@
+/*
+ * folderWatcher.js - Watch Folder for New Images
+ *
+ * Handles:
+ * - Watching a folder and all of its subfolders (new subfolders included)
+ * - Reporting images that were added or changed (by supported extension)
+ * - Waiting until a file has finished writing (size and mtime stable)
+ * - Ignoring the output folder and temp folders so outputs never loop back
+ * - Stopping cleanly (all watchers and pending checks)
+ */
+
+const path = require('path');
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const FileNameSanitizer = require('./fileNameSanitizer');
+
+const DEFAULT_OPTIONS = {
+    supportedFormats: [],
+    ignorePaths: [], // Folders never reported (e.g. the output folder)
+    stableInterval: 500, // ms between size checks
+    stableChecks: 2 // identical checks in a row before a file counts as written
+};
+
+class FolderWatcher {
+    // onFile(fullPath) is called once per finished file, onError(error) for watcher failures
+    constructor(folderPath, options = {}, onFile = null, onError = null) {
+        this.folderPath = path.resolve(folderPath);
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.ignorePaths = this.options.ignorePaths.map(ignorePath => path.resolve(ignorePath));
+        this.onFile = onFile;
+        this.onError = onError;
+
+        this.watchers = new Map(); // folder -> fs.FSWatcher
+        this.pendingFiles = new Map(); // file -> timer of the running stability check
+        this.isWatching = false;
+    }
+
+    // Start watching the folder tree
+    async start() {
+        const stats = await fs.stat(this.folderPath);
+        if (!stats.isDirectory()) {
+            throw new Error(`Not a folder: ${this.folderPath}`);
+        }
+
+        this.isWatching = true;
+        await this.watchTree(this.folderPath, false);
+        console.log(`Watching ${this.folderPath} (${this.watchers.size} folders)`);
+    }
+
+    // Stop all watchers and pending stability checks
+    stop() {
+        this.isWatching = false;
+
+        for (const watcher of this.watchers.values()) {
+            watcher.close();
+        }
+        this.watchers.clear();
+
+        for (const timer of this.pendingFiles.values()) {
+            clearTimeout(timer);
+        }
+        this.pendingFiles.clear();
+        console.log(`Stopped watching ${this.folderPath}`);
+    }
+
+    // Watch a folder and its subfolders. With reportFiles, images already inside are
+    // reported too - a folder moved or copied in arrives with its files
+    async watchTree(folderPath, reportFiles) {
+        if (!this.isWatching || this.isIgnored(folderPath) || this.watchers.has(folderPath)) {
+            return;
+        }
+
+        // fs.watch is not recursive on every platform, so each folder gets its own watcher
+        try {
+            const watcher = fsSync.watch(folderPath, (eventType, fileName) => {
+                if (fileName) {
+                    this.handleChange(path.join(folderPath, fileName.toString()));
+                }
+            });
+            watcher.on('error', error => this.handleWatcherError(folderPath, error));
+            this.watchers.set(folderPath, watcher);
+        } catch (error) {
+            this.handleWatcherError(folderPath, error);
+            return;
+        }
+
+        let entries = [];
+        try {
+            entries = await fs.readdir(folderPath, { withFileTypes: true });
+        } catch (error) {
+            this.handleWatcherError(folderPath, error);
+        }
+
+        for (const entry of entries) {
+            const entryPath = path.join(folderPath, entry.name);
+            if (entry.isDirectory()) {
+                await this.watchTree(entryPath, reportFiles);
+            } else if (reportFiles && entry.isFile()) {
+                this.handleChange(entryPath);
+            }
+        }
+    }
+
+    // Something changed in a watched folder - a new folder, or a file to check
+    async handleChange(fullPath) {
+        if (!this.isWatching || this.isIgnored(fullPath)) {
+            return;
+        }
+
+        let stats;
+        try {
+            stats = await fs.stat(fullPath);
+        } catch {
+            // Deleted or renamed away - nothing to do; a closed folder watcher is dropped
+            this.unwatch(fullPath);
+            return;
+        }
+
+        if (stats.isDirectory()) {
+            await this.watchTree(fullPath, true);
+        } else if (stats.isFile() && this.isSupported(fullPath)) {
+            this.waitUntilStable(fullPath);
+        }
+    }
+
+    // Report a file once its size and mtime stop changing (the writer has finished)
+    waitUntilStable(fullPath) {
+        // Restart the check if the file is already pending - it is still being written
+        if (this.pendingFiles.has(fullPath)) {
+            clearTimeout(this.pendingFiles.get(fullPath));
+        }
+
+        let lastSignature = null;
+        let stableCount = 0;
+
+        const check = async () => {
+            if (!this.isWatching) {
+                return;
+            }
+
+            let signature;
+            try {
+                const stats = await fs.stat(fullPath);
+                signature = `${stats.size}:${stats.mtimeMs}`;
+                if (stats.size === 0) {
+                    signature = null; // Created but nothing written yet
+                }
+            } catch {
+                this.pendingFiles.delete(fullPath);
+                return;
+            }
+
+            stableCount = signature !== null && signature === lastSignature ? stableCount + 1 : 0;
+            lastSignature = signature;
+
+            if (stableCount >= this.options.stableChecks) {
+                this.pendingFiles.delete(fullPath);
+                if (this.onFile) {
+                    this.onFile(fullPath);
+                }
+                return;
+            }
+
+            this.pendingFiles.set(fullPath, setTimeout(check, this.options.stableInterval));
+        };
+
+        this.pendingFiles.set(fullPath, setTimeout(check, this.options.stableInterval));
+    }
+
+    // Close the watcher of a removed folder (and of its subfolders)
+    unwatch(folderPath) {
+        for (const [watchedPath, watcher] of this.watchers) {
+            if (watchedPath === folderPath || watchedPath.startsWith(folderPath + path.sep)) {
+                watcher.close();
+                this.watchers.delete(watchedPath);
+            }
+        }
+    }
+
+    handleWatcherError(folderPath, error) {
+        console.error(`Watcher error for ${folderPath}:`, error.message);
+        this.unwatch(folderPath);
+        if (this.onError) {
+            this.onError(error);
+        }
+    }
+
+    // Check if an image extension can be compressed
+    isSupported(fullPath) {
+        return this.options.supportedFormats.includes(path.extname(fullPath).toLowerCase());
+    }
+
+    // Output folder, temp copies and anything inside them
+    isIgnored(fullPath) {
+        if (path.basename(fullPath).startsWith(FileNameSanitizer.TEMP_DIR_PREFIX)) {
+            return true;
+        }
+        return this.ignorePaths.some(ignorePath =>
+            fullPath === ignorePath || fullPath.startsWith(ignorePath + path.sep));
+    }
+}
+
+module.exports = FolderWatcher;
@@ -1,80 +1,412 @@
 /*
-* imageProcessor.js - Sharp Sequential Image Compression Engine
+* imageProcessor.js - Sharp Parallel Image Compression Engine
 * 
 * Handles:
-* - Sequential processing with Sharp (native C++ performance)
+* - Bounded parallel processing with Sharp (N files in flight, N = CPU cores by default)
 * - Memory-safe streaming processing
 * - Smart progress updates with ETA calculation
 * - Fallback sanitizer for problematic filenames
-* - Multi-format support (JPG, PNG, GIF, SVG, TIFF, BMP) to WebP conversion
+* - Output folder mirrors the input subfolder structure
+* - Any mix of files and folders as input, one combined work list
+* - Output name collision policy (keep extension, numeric suffix or skip)
+* - Multi-format support (JPG, PNG, GIF, SVG, TIFF, BMP) to WebP, AVIF, JPEG and PNG
+* - Per-format encoder profiles, one or more target formats per run
+* - Named or custom WebP compression presets
+* - Never-grow safeguard for outputs larger than their source
+* - Animated GIF/WebP preserved as animated WebP (or flattened on request)
+* - Metadata policy (strip, keep all, ICC only, copyright/author from EXIF and XMP) with EXIF auto-rotation
+* - Resize rules (max width/height, longest edge or percentage) before encoding
+* - Target-size mode (quality search, optional downscaling) for a per-image limit or a run budget
+* - Perceptual quality guard (SSIM against the source, re-encode at a higher quality)
+* - Responsive image sets (name-640w.webp variants) with a manifest.json for srcset markup
+* - Incremental re-runs into a stable output folder (unchanged sources are skipped)
+* - In-place replacement of originals with a journaled backup for undo
 * - Maximum speed with Sharp's native optimization
 * - Real cancellation support with cleanup
+* - Crash-safe output writes (temp file renamed into place) and sweeping of leftovers
+* - Pause and resume between files
+* - Excluding files and subfolders from a run (deselected in the scan preview)
+* - Scan filters (include/exclude globs, depth, hidden folders, size and dimension thresholds)
+* - Output size of sample files (in memory) for the savings estimate
 */
 
 const path = require('path');
+const os = require('os');
 const fs = require('fs').promises;
+const crypto = require('crypto');
+
+// Sharp runs in libuv's thread pool (4 threads by default) - size it for the worker pool.
+// Must happen before the pool is first used, so before Sharp is loaded.
+process.env.UV_THREADPOOL_SIZE = process.env.UV_THREADPOOL_SIZE || String(Math.max(4, os.cpus().length));
+
 const sharp = require('sharp');
 const FileNameSanitizer = require('./fileNameSanitizer');
 const FileSizeAnalyzer = require('./fileSizeAnalyzer');
+const CompressionPresets = require('./compressionPresets');
+const ExifReader = require('./exifReader');
+const XmpReader = require('./xmpReader');
+const IncrementalState = require('./incrementalState');
+const InPlaceJournal = require('./inPlaceJournal');
+const TargetSizeEncoder = require('./targetSizeEncoder');
+const ImageQuality = require('./imageQuality');
+const ScanFilter = require('./scanFilter');
+
+// Collision policies for sources that map to the same output name
+const COLLISION_POLICIES = ['keep-extension', 'suffix', 'skip'];
+
+// Never-grow policies for outputs larger than their source
+const GROWTH_POLICIES = ['allow', 'retry', 'copy', 'drop'];
+
+// Metadata policies: what EXIF/ICC/XMP survives in the outputs
+const METADATA_POLICIES = ['strip', 'keep', 'icc', 'copyright'];
+
+// Resize fit modes and Sharp resampling kernels
+const RESIZE_FITS = ['inside', 'cover', 'contain'];
+const RESIZE_KERNELS = Object.values(sharp.kernel);
+
+// Resize rule defaults - merged under options.resize when resizing is enabled
+const DEFAULT_RESIZE = {
+   maxWidth: null, // Pixels
+   maxHeight: null, // Pixels
+   longestEdge: null, // Pixels, limits whichever side is longer
+   percent: null, // Scale factor in percent (50 = half size)
+   fit: 'inside', // 'inside' keeps the whole image, 'cover' crops, 'contain' pads
+   withoutEnlargement: true, // Never upscale smaller sources
+   kernel: 'lanczos3'
+};
+
+// Manifest written next to responsive variants
+const MANIFEST_FILE_NAME = 'manifest.json';
+
+// Outputs are written as <name>.<pid>-<n>.kompressor-partial and renamed when complete
+const PARTIAL_FILE_SUFFIX = '.kompressor-partial';
+
+// Leftover partial files and temp folders untouched for this long belong to no running run
+const STALE_TEMP_AGE_MS = 10 * 60 * 1000;
+
+// Partial files and temp folders in use by any processor of this process - never swept
+const activeTempPaths = new Set();
+
+// Output formats a run can target, keyed by format id
+const OUTPUT_FORMATS = {
+   webp: { label: 'WebP', extension: '.webp', mimeType: 'image/webp', encoder: 'webp', supportsAlpha: true, supportsAnimation: true },
+   'webp-lossless': { label: 'WebP (lossless)', extension: '.webp', mimeType: 'image/webp', encoder: 'webp', supportsAlpha: true, supportsAnimation: true },
+   avif: { label: 'AVIF', extension: '.avif', mimeType: 'image/avif', encoder: 'avif', supportsAlpha: true, supportsAnimation: false },
+   jpeg: { label: 'JPEG', extension: '.jpg', mimeType: 'image/jpeg', encoder: 'jpeg', supportsAlpha: false, supportsAnimation: false },
+   png: { label: 'PNG', extension: '.png', mimeType: 'image/png', encoder: 'png', supportsAlpha: true, supportsAnimation: false }
+};
+
+// Default processing options
+const DEFAULT_OPTIONS = {
+   formats: ['webp'],
+   preset: 'fastest', // Preset id or { id: 'custom', settings: {...} }
+   outputDirectory: null, // Parent folder for the output folder (default: next to the input)
+   outputSuffix: '_compressed',
+   concurrency: 0, // Files processed at once, 0 = one per CPU core
+   quality: null, // Fixed quality (1-100) overriding the format profiles
+   recursive: true, // Include images in subfolders
+   outputFolder: null, // Exact output folder (overrides outputDirectory/outputSuffix)
+   growthPolicy: 'retry', // Output larger than source: 'allow', 'retry', 'copy' (original) or 'drop'
+   flattenAnimations: false, // Convert animated GIF/WebP to a still first frame
+   metadataPolicy: 'strip', // 'strip' all, 'keep' all, 'icc' profile only, 'copyright' and author only
+   resize: null, // null = keep dimensions, otherwise resize rules (see DEFAULT_RESIZE)
+   responsiveWidths: null, // e.g. [320, 640, 1280, 1920] - one variant per width and format, plus manifest.json
+   sourceRoot: null, // Folder that loose files keep their relative path to (watch mode)
+   outputNames: null, // Map of source relative path -> output base given out by earlier runs into the same
+                      // output folder (watch mode) - kept for those sources, this run's names are added
+   incremental: false, // Stable output folder, skip sources unchanged since the last run
+   pruneDeleted: false, // Incremental: remove outputs whose sources were deleted
+   inPlace: false, // Replace originals with their outputs (originals moved to a backup folder)
+   backupFolder: null, // In-place: exact backup folder (default: <input>_backup_<timestamp> next to the input)
+   onInPlaceBegin: null, // In-place: called with the backup folder once its journal exists (remember it for undo)
+   resumeFiles: null, // Resume a paused run: only these source paths are processed (use with outputFolder)
+   targetSize: null, // Maximum output size instead of a fixed quality: { maxKB } per image or { budgetKB } per run,
+                     // plus minQuality and allowDownscale (see TargetSizeEncoder)
+   qualityGuard: null, // Verify outputs by SSIM: { minScore, maxQuality, qualityStep } (see ImageQuality)
+   excludePaths: [], // Files and folders left out of the run (a folder excludes everything inside it)
+   scanFilters: null, // Folder scan filters: { include, exclude, maxDepth, skipHidden, minFileSizeKB, maxFileSizeKB,
+                      // minDimension, maxDimension } (see ScanFilter)
+   collisionPolicy: 'keep-extension' // photo.jpg + photo.png -> photo.webp + photo.png.webp
+};
 
 class ImageProcessor {
-   constructor() {
+   constructor(options = {}) {
+       this.options = { ...DEFAULT_OPTIONS, ...options };
+       this.validateOptions();
+       
+       // WebP settings table (input format group -> settings) from the chosen preset
+       this.presets = new CompressionPresets();
+       this.webpSettings = this.presets.resolve(this.options.preset);
+       
        this.supportedFormats = ['.jpg', '.jpeg', '.png', '.gif', '.svg', '.tiff', '.tif', '.bmp', '.webp'];
+       this.excludedPaths = this.options.excludePaths.map(excludePath => path.resolve(excludePath));
+       this.scanFilter = this.options.scanFilters ? new ScanFilter(this.options.scanFilters) : null;
+       this.filteredOut = []; // Files and folders the scan filters left out of the last work list
+       this.plannedOutputBases = new Set(); // Lower-cased output bases given out by planOutputNames
        this.isCancelled = false;
+       this.isPaused = false;
+       this.pauseWaiters = []; // Workers waiting for resume()
+       this.remainingFiles = null; // Source paths not processed yet (for saving a paused run)
        this.progressCallback = null;
        this.sanitizer = new FileNameSanitizer();
        this.sizeAnalyzer = new FileSizeAnalyzer();
+       this.exifReader = new ExifReader();
+       this.xmpReader = new XmpReader();
+       this.targetSizeEncoder = this.options.targetSize ? new TargetSizeEncoder(this.options.targetSize) : null;
+       this.qualityGuard = this.options.qualityGuard ? new ImageQuality(this.options.qualityGuard) : null;
        
        // Pipeline optimization settings
        this.processingStartTime = null;
        this.processedCount = 0;
        this.avgProcessingTime = 0;
+       this.activeConcurrency = 1;
+       this.tempFileCounter = 0; // Keeps temp copies unique while files run in parallel
        
        // Cancellation tracking
        this.currentOutputPath = null;
+       this.ownsOutputFolder = false;
        this.tempDirectories = [];
        
        // Sharp configuration
        this.initializeSharp();
    }
 
+   // Validate processing options before anything touches the disk
+   validateOptions() {
+       const { formats, collisionPolicy, growthPolicy, metadataPolicy, quality, resize, responsiveWidths, targetSize, qualityGuard, scanFilters } = this.options;
+       
+       if (!COLLISION_POLICIES.includes(collisionPolicy)) {
+           throw new Error(`Unknown collision policy: ${collisionPolicy}`);
+       }
+       
+       if (!GROWTH_POLICIES.includes(growthPolicy)) {
+           throw new Error(`Unknown growth policy: ${growthPolicy}`);
+       }
+       
+       if (!METADATA_POLICIES.includes(metadataPolicy)) {
+           throw new Error(`Unknown metadata policy: ${metadataPolicy}`);
+       }
+       
+       if (resize) {
+           this.validateResize(resize);
+       }
+       
+       if (targetSize) {
+           this.validateTargetSize(targetSize);
+       }
+       
+       if (qualityGuard) {
+           this.validateQualityGuard(qualityGuard);
+       }
+       
+       if (scanFilters) {
+           this.validateScanFilters(scanFilters);
+       }
+       
+       if (this.options.outputNames !== null && !(this.options.outputNames instanceof Map)) {
+           throw new Error('Output names of earlier runs must be a Map of source path -> output name');
+       }
+       
+       if (!Array.isArray(this.options.excludePaths) || !this.options.excludePaths.every(excludePath => typeof excludePath === 'string')) {
+           throw new Error('Excluded paths must be a list of file and folder paths');
+       }
+       
+       if (this.options.pruneDeleted && !this.options.incremental) {
+           throw new Error('Removing outputs of deleted sources needs incremental mode');
+       }
+       
+       if (this.options.inPlace && (this.options.incremental || responsiveWidths)) {
+           throw new Error('In-place mode can\'t be combined with incremental mode or responsive widths');
+       }
+       
+       if (this.options.resumeFiles) {
+           if (!Array.isArray(this.options.resumeFiles) || !this.options.outputFolder) {
+               throw new Error('Resuming a paused run needs the list of remaining files and its output folder');
+           }
+           if (this.options.inPlace) {
+               throw new Error('In-place runs can\'t be resumed');
+           }
+       }
+       
+       if (responsiveWidths) {
+           if (!Array.isArray(responsiveWidths) || responsiveWidths.length === 0 ||
+               !responsiveWidths.every(width => Number.isInteger(width) && width > 0)) {
+               throw new Error(`Responsive widths must be a list of positive whole numbers, got ${responsiveWidths}`);
+           }
+           if (resize) {
+               throw new Error('Resize rules and responsive widths can\'t be combined - the widths already set the output sizes');
+           }
+       }
+       
+       if (quality !== null && quality !== undefined && !(Number.isInteger(quality) && quality >= 1 && quality <= 100)) {
+           throw new Error(`Quality must be a whole number between 1 and 100, got ${quality}`);
+       }
+       
+       if (!Array.isArray(formats) || formats.length === 0) {
+           throw new Error('Select at least one output format');
+       }
+       
+       const extensions = new Set();
+       for (const format of formats) {
+           if (!OUTPUT_FORMATS[format]) {
+               throw new Error(`Unknown output format: ${format}`);
+           }
+           // Two targets with the same extension would overwrite each other
+           if (extensions.has(OUTPUT_FORMATS[format].extension)) {
+               throw new Error(`Output formats ${formats.join(', ')} share the ${OUTPUT_FORMATS[format].extension} extension - pick only one of them`);
+           }
+           extensions.add(OUTPUT_FORMATS[format].extension);
+       }
+   }
+
+   // Validate resize rules - exactly one kind of limit, positive whole numbers
+   validateResize(resize) {
+       const { maxWidth, maxHeight, longestEdge, percent, fit, kernel } = { ...DEFAULT_RESIZE, ...resize };
+       const isSet = value => value !== null && value !== undefined;
+       const limits = [isSet(maxWidth) || isSet(maxHeight), isSet(longestEdge), isSet(percent)].filter(Boolean);
+       
+       if (limits.length !== 1) {
+           throw new Error('Resize needs exactly one rule: max width/height, longest edge or percentage');
+       }
+       
+       for (const [name, value] of Object.entries({ maxWidth, maxHeight, longestEdge })) {
+           if (isSet(value) && !(Number.isInteger(value) && value > 0)) {
+               throw new Error(`Resize ${name} must be a positive whole number of pixels, got ${value}`);
+           }
+       }
+       
+       if (isSet(percent) && !(Number.isFinite(percent) && percent > 0 && percent <= 1000)) {
+           throw new Error(`Resize percentage must be between 0 and 1000, got ${percent}`);
+       }
+       
+       if (!RESIZE_FITS.includes(fit)) {
+           throw new Error(`Unknown resize fit: ${fit}`);
+       }
+       
+       if (!RESIZE_KERNELS.includes(kernel)) {
+           throw new Error(`Unknown resize kernel: ${kernel}`);
+       }
+   }
+
+   // Validate target-size rules - one positive limit, a sane minimum quality
+   validateTargetSize(targetSize) {
+       const { maxKB, budgetKB, minQuality, allowDownscale } = { ...TargetSizeEncoder.DEFAULT_OPTIONS, ...targetSize };
+       const isSet = value => value !== null && value !== undefined;
+       
+       if (isSet(maxKB) === isSet(budgetKB)) {
+           throw new Error('Target size needs exactly one limit: KB per image or a KB budget for the run');
+       }
+       
+       const limit = isSet(maxKB) ? maxKB : budgetKB;
+       if (!(Number.isFinite(limit) && limit > 0)) {
+           throw new Error(`Target size must be a positive number of KB, got ${limit}`);
+       }
+       
+       if (!(Number.isInteger(minQuality) && minQuality >= 1 && minQuality <= 100)) {
+           throw new Error(`Minimum quality must be a whole number between 1 and 100, got ${minQuality}`);
+       }
+       
+       if (allowDownscale && this.options.responsiveWidths) {
+           throw new Error('Target-size downscaling can\'t be combined with responsive widths - the widths are fixed');
+       }
+   }
+
+   // Validate quality guard rules - a score between 0 and 1, qualities within 1-100
+   validateQualityGuard(qualityGuard) {
+       const { minScore, maxQuality, qualityStep } = { ...ImageQuality.DEFAULT_OPTIONS, ...qualityGuard };
+       
+       if (!(Number.isFinite(minScore) && minScore > 0 && minScore <= 1)) {
+           throw new Error(`Minimum quality score (SSIM) must be above 0 and at most 1, got ${minScore}`);
+       }
+       
+       if (!(Number.isInteger(maxQuality) && maxQuality >= 1 && maxQuality <= 100)) {
+           throw new Error(`Maximum quality must be a whole number between 1 and 100, got ${maxQuality}`);
+       }
+       
+       if (!(Number.isInteger(qualityStep) && qualityStep >= 1)) {
+           throw new Error(`Quality step must be a positive whole number, got ${qualityStep}`);
+       }
+       
+       if (this.options.targetSize) {
+           throw new Error('The quality guard can\'t be combined with a target size - one raises the quality, the other lowers it');
+       }
+   }
+
+   // Validate scan filters - pattern lists, a depth, thresholds that leave something in between
+   validateScanFilters(scanFilters) {
+       const { include, exclude, maxDepth, minFileSizeKB, maxFileSizeKB, minDimension, maxDimension } = { ...ScanFilter.DEFAULT_OPTIONS, ...scanFilters };
+       const isSet = value => value !== null && value !== undefined;
+       
+       for (const [name, patterns] of Object.entries({ include, exclude })) {
+           if (!Array.isArray(patterns) || !patterns.every(pattern => typeof pattern === 'string' && pattern.trim() !== '')) {
+               throw new Error(`Scan filter ${name} patterns must be a list of glob patterns`);
+           }
+       }
+       
+       if (isSet(maxDepth) && !(Number.isInteger(maxDepth) && maxDepth >= 0)) {
+           throw new Error(`Maximum folder depth must be a whole number of 0 or more, got ${maxDepth}`);
+       }
+       
+       for (const [name, value] of Object.entries({ minFileSizeKB, maxFileSizeKB })) {
+           if (isSet(value) && !(Number.isFinite(value) && value >= 0)) {
+               throw new Error(`Scan filter ${name} must be a number of KB, got ${value}`);
+           }
+       }
+       
+       for (const [name, value] of Object.entries({ minDimension, maxDimension })) {
+           if (isSet(value) && !(Number.isInteger(value) && value > 0)) {
+               throw new Error(`Scan filter ${name} must be a positive whole number of pixels, got ${value}`);
+           }
+       }
+       
+       if ((isSet(minFileSizeKB) && isSet(maxFileSizeKB) && minFileSizeKB > maxFileSizeKB) ||
+           (isSet(minDimension) && isSet(maxDimension) && minDimension > maxDimension)) {
+           throw new Error('Scan filter minimums must not be above their maximums');
+       }
+   }
+
    // Initialize Sharp with optimal settings
    initializeSharp() {
        console.log('=== INITIALIZING SHARP ===');
        
        // Configure Sharp for maximum performance
-       sharp.cache(false); // Disable cache for sequential processing
-       sharp.concurrency(1); // Sequential processing
+       sharp.cache(false); // Disable cache - every file is read once
+       sharp.concurrency(1); // One libvips thread per image - parallelism comes from the worker pool
        sharp.simd(true); // Enable SIMD
        
        console.log('Sharp initialized with maximum speed settings');
    }
 
-   // Get Sharp WebP settings optimized for speed and quality
+   // Get Sharp WebP settings for this input format from the selected preset
    getWebPSettings(inputFormat, inputPath) {
-       // Optimized for speed while maintaining quality
+       return this.presets.getSettingsForInput(this.webpSettings, inputFormat);
+   }
+
+   // Get Sharp lossless WebP settings (pixel-exact output)
+   getLosslessWebPSettings(inputFormat, inputPath) {
+       return {
+           lossless: true,
+           quality: 100, // In lossless mode quality controls compression effort on the data
+           effort: 4
+       };
+   }
+
+   // Get Sharp AVIF settings - smaller than WebP at similar visual quality, slower to encode
+   getAvifSettings(inputFormat, inputPath) {
        const baseSettings = {
-           quality: 75,
-           effort: 1, // Fastest compression (was 4)
-           alphaQuality: 75,
-           lossless: false
+           quality: 55,
+           effort: 2,
+           chromaSubsampling: '4:2:0'
        };
 
-       // Simplified settings for maximum speed
        switch (inputFormat.toLowerCase()) {
            case '.png':
-               return {
-                   ...baseSettings,
-                   quality: 80,
-                   alphaQuality: 80,
-                   effort: 1 // Fastest
-               };
-               
            case '.svg':
+               // Keep full chroma for graphics with sharp colour edges
                return {
                    ...baseSettings,
-                   lossless: true,
-                   effort: 1 // Fastest even for lossless
+                   quality: 65,
+                   chromaSubsampling: '4:4:4'
                };
                
            default:
@@ -82,6 +414,58 @@ class ImageProcessor {
        }
    }
 
+   // Get Sharp JPEG settings - mozjpeg for legacy client fallbacks
+   getJpegSettings(inputFormat, inputPath) {
+       return {
+           quality: 78,
+           mozjpeg: true,
+           progressive: true
+       };
+   }
+
+   // Get Sharp PNG settings - palette quantization only for graphics, not photos
+   getPngSettings(inputFormat, inputPath) {
+       const isGraphic = ['.png', '.gif', '.svg'].includes(inputFormat.toLowerCase());
+       
+       return {
+           compressionLevel: 9,
+           adaptiveFiltering: true,
+           palette: isGraphic,
+           quality: 90,
+           effort: 7
+       };
+   }
+
+   // Get encoder settings for an output format
+   getEncoderSettings(format, inputFormat, inputPath) {
+       const settings = this.getProfileSettings(format, inputFormat, inputPath);
+       
+       // A fixed quality (e.g. --quality on the command line) overrides every lossy profile
+       if (this.options.quality && !settings.lossless) {
+           settings.quality = this.options.quality;
+       }
+       
+       return settings;
+   }
+
+   // Get the per-format settings profile
+   getProfileSettings(format, inputFormat, inputPath) {
+       switch (format) {
+           case 'webp':
+               return this.getWebPSettings(inputFormat, inputPath);
+           case 'webp-lossless':
+               return this.getLosslessWebPSettings(inputFormat, inputPath);
+           case 'avif':
+               return this.getAvifSettings(inputFormat, inputPath);
+           case 'jpeg':
+               return this.getJpegSettings(inputFormat, inputPath);
+           case 'png':
+               return this.getPngSettings(inputFormat, inputPath);
+           default:
+               throw new Error(`Unknown output format: ${format}`);
+       }
+   }
+
    // Get progressive update interval based on file count
    getProgressInterval(totalFiles) {
        return 1; // Always update every file for real-time progress
@@ -97,6 +481,209 @@ class ImageProcessor {
        return size + ' ' + sizes[i];
    }
 
+   // Build output file path from the planned output name (see planOutputNames)
+   getOutputFilePath(file, outputPath, extension) {
+       return path.join(outputPath, file.outputBase + extension);
+   }
+
+   // Keep only the files a paused run had not finished (sources deleted since are dropped)
+   getResumedFiles(workList) {
+       const remaining = new Set(this.options.resumeFiles.map(filePath => path.resolve(filePath)));
+       const imageFiles = workList.filter(file => remaining.has(file.fullPath));
+       console.log(`Resuming paused run: ${imageFiles.length} of ${workList.length} files left`);
+       return imageFiles;
+   }
+
+   // Resolve output name collisions before any Sharp call.
+   // Sets file.outputBase (relative path without extension) on every file and
+   // marks files as renamed or skipped according to the collision policy.
+   // previousNames (source relative path -> output base) holds names given out by earlier
+   // runs into the same output folder - their sources keep them, no other file gets them.
+   planOutputNames(imageFiles, previousNames = null) {
+       const policy = this.options.collisionPolicy;
+       const taken = new Map(); // lower-cased output base -> relative path that claimed it
+       const renamed = [];
+       const skipped = [];
+       
+       // Compare case-insensitively - Windows and macOS file systems are
+       const isTaken = (outputBase) => taken.has(outputBase.toLowerCase());
+       
+       for (const [relativePath, outputBase] of previousNames || []) {
+           taken.set(outputBase.toLowerCase(), relativePath);
+       }
+       
+       for (const file of imageFiles) {
+           const previousBase = previousNames && previousNames.get(file.relativePath);
+           if (previousBase) {
+               file.outputBase = previousBase;
+               continue;
+           }
+           
+           const relativeDir = path.dirname(file.relativePath);
+           const baseName = path.basename(file.name, path.extname(file.name));
+           const outputBase = path.join(relativeDir, baseName);
+           
+           if (!isTaken(outputBase)) {
+               file.outputBase = outputBase;
+               taken.set(outputBase.toLowerCase(), file.relativePath);
+               continue;
+           }
+           
+           const collidesWith = taken.get(outputBase.toLowerCase());
+           
+           if (policy === 'skip') {
+               file.skipReason = `Output name collides with ${collidesWith}`;
+               file.collidesWith = collidesWith;
+               skipped.push({ relativePath: file.relativePath, collidesWith });
+               continue;
+           }
+           
+           // keep-extension: photo.png -> photo.png.webp, suffix: photo.png -> photo-1.webp
+           // Either way, fall back to a numeric suffix until the name is free
+           const stem = policy === 'keep-extension' ? path.join(relativeDir, file.name) : outputBase;
+           let candidate = stem;
+           let counter = 1;
+           while (isTaken(candidate)) {
+               candidate = `${stem}-${counter++}`;
+           }
+           
+           file.outputBase = candidate;
+           file.renamed = true;
+           file.collidesWith = collidesWith;
+           taken.set(candidate.toLowerCase(), file.relativePath);
+           renamed.push({ relativePath: file.relativePath, outputBase: candidate, collidesWith });
+       }
+       
+       // Every output base of the run, for the never-grow copies' own names
+       this.plannedOutputBases = new Set(taken.keys());
+       
+       if (renamed.length > 0 || skipped.length > 0) {
+           console.log(`Name collisions (${policy}): ${renamed.length} renamed, ${skipped.length} skipped`);
+       }
+       
+       return { policy, renamed, skipped };
+   }
+
+   // Build a single work list from any mix of files and folders.
+   // Every file records the source root it came from; relative paths stay unique
+   // across sources so the output tree and the size stats never mix them up.
+   async buildWorkList(inputPaths) {
+       const multipleSources = inputPaths.length > 1;
+       let imageFiles = [];
+       const seenFiles = new Set();
+       const usedPaths = new Set(); // lower-cased relative paths and folder prefixes
+       
+       // First free name among base, base-2, base-3...
+       const claimName = (base) => {
+           let candidate = base;
+           let counter = 2;
+           while (usedPaths.has(candidate.toLowerCase())) {
+               candidate = `${base}-${counter++}`;
+           }
+           usedPaths.add(candidate.toLowerCase());
+           return candidate;
+       };
+       
+       const addFile = (file) => {
+           // The same file dropped twice (or inside a dropped folder) is processed once
+           if (seenFiles.has(file.fullPath) || this.isExcluded(file.fullPath)) return;
+           seenFiles.add(file.fullPath);
+           usedPaths.add(file.relativePath.toLowerCase());
+           imageFiles.push(file);
+       };
+       
+       this.filteredOut = [];
+       
+       for (const inputPath of inputPaths) {
+           if (this.isCancelled) {
+               throw new Error('Scanning cancelled by user');
+           }
+           
+           const inputStats = await fs.stat(inputPath);
+           
+           if (inputStats.isDirectory()) {
+               const filteredBefore = this.filteredOut.length;
+               const folderFiles = await this.scanForImages(inputPath);
+               // With several sources, each folder gets its own subfolder in the output
+               const prefix = multipleSources ? claimName(path.basename(inputPath)) : '';
+               
+               for (const entry of this.filteredOut.slice(filteredBefore)) {
+                   entry.relativePath = path.join(prefix, entry.relativePath);
+               }
+               for (const file of folderFiles) {
+                   addFile({
+                       ...file,
+                       relativePath: path.join(prefix, file.relativePath),
+                       sourceRoot: inputPath
+                   });
+               }
+           } else {
+               const ext = path.extname(inputPath).toLowerCase();
+               if (!this.supportedFormats.includes(ext)) {
+                   console.log(`Skipping unsupported file: ${inputPath}`);
+                   continue;
+               }
+               
+               const name = path.basename(inputPath);
+               
+               // Files from a watched folder keep their place in its subfolder structure
+               const sourceRoot = this.options.sourceRoot && path.resolve(this.options.sourceRoot);
+               if (sourceRoot && inputPath.startsWith(sourceRoot + path.sep)) {
+                   const relativePath = path.relative(sourceRoot, inputPath);
+                   const reason = this.scanFilter && this.scanFilter.checkPath(relativePath);
+                   if (reason) {
+                       this.filteredOut.push({ relativePath: relativePath, fullPath: inputPath, reason: reason, isFolder: false });
+                       continue;
+                   }
+                   addFile({
+                       name: name,
+                       fullPath: inputPath,
+                       extension: ext,
+                       relativePath: relativePath,
+                       sourceRoot: sourceRoot
+                   });
+                   continue;
+               }
+               
+               // Loose files go to the top of the output; on a name clash use their folder name
+               const relativePath = usedPaths.has(name.toLowerCase())
+                   ? path.join(claimName(path.basename(path.dirname(inputPath))), name)
+                   : name;
+               
+               addFile({
+                   name: name,
+                   fullPath: inputPath,
+                   extension: ext,
+                   relativePath: relativePath,
+                   sourceRoot: path.dirname(inputPath)
+               });
+           }
+       }
+       
+       // Size and dimension thresholds apply to every file, found in a folder or selected
+       if (this.scanFilter && this.scanFilter.hasThresholds()) {
+           const keptFiles = [];
+           for (const file of imageFiles) {
+               if (this.isCancelled) {
+                   throw new Error('Scanning cancelled by user');
+               }
+               const reason = await this.scanFilter.checkThresholds(file.fullPath);
+               if (reason) {
+                   this.filteredOut.push({ relativePath: file.relativePath, fullPath: file.fullPath, reason: reason, isFolder: false });
+               } else {
+                   keptFiles.push(file);
+               }
+           }
+           imageFiles = keptFiles;
+       }
+       
+       if (this.filteredOut.length > 0) {
+           console.log(`Scan filters: ${this.filteredOut.length} files/folders left out`);
+       }
+       console.log(`Work list: ${imageFiles.length} files from ${inputPaths.length} source(s)`);
+       return imageFiles;
+   }
+
    // Scan folder recursively for image files
    async scanForImages(folderPath) {
        try {
@@ -117,19 +704,34 @@ class ImageProcessor {
                    }
                    
                    const fullPath = path.join(currentPath, file.name);
+                   const relativePath = path.relative(folderPath, fullPath);
+                   if (this.isExcluded(fullPath)) {
+                       continue; // Deselected in the scan preview
+                   }
                    
                    if (file.isFile()) {
                        const ext = path.extname(file.name).toLowerCase();
                        
                        if (this.supportedFormats.includes(ext)) {
+                           const reason = this.scanFilter && this.scanFilter.checkFile(relativePath);
+                           if (reason) {
+                               this.filteredOut.push({ relativePath: relativePath, fullPath: fullPath, reason: reason, isFolder: false });
+                               continue;
+                           }
                            imageFiles.push({
                                name: file.name,
                                fullPath: fullPath,
                                extension: ext,
-                               relativePath: path.relative(folderPath, fullPath)
+                               relativePath: relativePath
                            });
                        }
-                   } else if (file.isDirectory()) {
+                   } else if (file.isDirectory() && this.options.recursive) {
+                       // Filtered folders are never read (node_modules, .git, thumbnail caches)
+                       const reason = this.scanFilter && this.scanFilter.checkFolder(relativePath, depth + 1);
+                       if (reason) {
+                           this.filteredOut.push({ relativePath: relativePath, fullPath: fullPath, reason: reason, isFolder: true });
+                           continue;
+                       }
                        await scanRecursively(fullPath, depth + 1);
                    }
                }
@@ -147,64 +749,111 @@ class ImageProcessor {
        }
    }
 
+   // True for excluded files and anything inside an excluded folder
+   isExcluded(filePath) {
+       return this.excludedPaths.some(excludedPath =>
+           filePath === excludedPath || filePath.startsWith(excludedPath + path.sep));
+   }
+
+   // Output folder for a single input folder: <folder><suffix>, next to it or in outputDirectory
+   getFolderOutputPath(folderPath) {
+       const parentDir = this.options.outputDirectory || path.dirname(folderPath);
+       return path.join(parentDir, `${path.basename(folderPath)}${this.options.outputSuffix}`);
+   }
+
    // Create output folder with smart naming
-   async createOutputFolder(inputPath) {
+   // (one folder -> <folder>_compressed, files or several sources -> compressed_images)
+   async createOutputFolder(inputPaths) {
+       inputPaths = [].concat(inputPaths);
+       const inputPath = inputPaths[0];
        if (this.isCancelled) {
            throw new Error('Cancelled before creating output folder');
        }
        
+       // Exact output folder requested - use it as is, even if it already exists
+       if (this.options.outputFolder) {
+           const outputPath = path.resolve(this.options.outputFolder);
+           try {
+               await fs.access(outputPath);
+               this.ownsOutputFolder = false; // Existing folder - never removed on cancel
+           } catch {
+               this.ownsOutputFolder = true;
+           }
+           await fs.mkdir(outputPath, { recursive: true });
+           this.currentOutputPath = outputPath;
+           return outputPath;
+       }
+       
        const inputStats = await fs.stat(inputPath);
        let outputPath;
 
-       if (inputStats.isDirectory()) {
-           const folderName = path.basename(inputPath);
-           const parentDir = path.dirname(inputPath);
-           outputPath = path.join(parentDir, `${folderName}_compressed`);
+       if (inputPaths.length === 1 && inputStats.isDirectory()) {
+           outputPath = this.getFolderOutputPath(inputPath);
        } else {
-           const parentDir = path.dirname(inputPath);
-           outputPath = path.join(parentDir, 'compressed_images');
+           outputPath = path.join(this.options.outputDirectory || path.dirname(inputPath), 'compressed_images');
        }
 
+       let folderExists = false;
        try {
            await fs.access(outputPath);
-           const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-           outputPath = `${outputPath}_${timestamp}`;
+           folderExists = true;
        } catch {
            // Folder doesn't exist, which is good
        }
+       
+       // Incremental runs reuse the same folder; otherwise an existing one gets a timestamp
+       if (folderExists && !this.options.incremental) {
+           const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+           outputPath = `${outputPath}_${timestamp}`;
+           folderExists = false;
+       }
 
        await fs.mkdir(outputPath, { recursive: true });
        this.currentOutputPath = outputPath; // Store for cleanup
+       this.ownsOutputFolder = !folderExists; // Existing folder - never removed on cancel
        return outputPath;
    }
 
-   // Main processing method with Sharp sequential pipeline
-   async processImages(inputPath, progressCallback = null) {
+   // Main processing method with Sharp worker pool.
+   // Accepts a folder, a file, or an array mixing both
+   async processImages(inputPaths, progressCallback = null) {
+       inputPaths = [].concat(inputPaths).map(inputPath => path.resolve(inputPath));
        this.progressCallback = progressCallback;
        this.isCancelled = false;
        this.processingStartTime = null;
        this.processedCount = 0;
        this.avgProcessingTime = 0;
        this.currentOutputPath = null;
+       this.ownsOutputFolder = false;
        this.tempDirectories = [];
+       this.inPlaceJournal = null;
+       this.remainingFiles = null;
 
        try {
            // Scan for images
            this.updateProgress(0, 0, 0, 'Scanning for images...');
-           const imageFiles = await this.scanForImages(inputPath);
+           const workList = await this.buildWorkList(inputPaths);
 
            if (this.isCancelled) {
                throw new Error('Processing cancelled during scan');
            }
 
-           if (imageFiles.length === 0) {
-               throw new Error('No supported image files found in the selected folder. Supported formats: JPG, PNG, GIF, SVG, TIFF, BMP');
+           if (workList.length === 0) {
+               throw new Error(this.filteredOut.length > 0
+                   ? `No image files left after the scan filters (${this.filteredOut.length} files/folders left out)`
+                   : 'No supported image files found in the selection. Supported formats: JPG, PNG, GIF, SVG, TIFF, BMP');
            }
 
+           // Resumed run: files finished before the pause are left alone
+           const imageFiles = this.options.resumeFiles
+               ? this.getResumedFiles(workList)
+               : workList;
+           this.remainingFiles = new Set(imageFiles.map(file => file.fullPath));
+
            const progressInterval = this.getProgressInterval(imageFiles.length);
 
-           console.log(`=== SHARP SEQUENTIAL PROCESSING ===`);
-           console.log(`Files: ${imageFiles.length}, Progress interval: ${progressInterval}`);
+           console.log(`=== SHARP PARALLEL PROCESSING ===`);
+           console.log(`Files: ${imageFiles.length}, Workers: ${this.getConcurrency(imageFiles.length)}, Progress interval: ${progressInterval}`);
 
            // Measure input file sizes
            this.updateProgress(0, imageFiles.length, 0, 'Measuring file sizes...');
@@ -214,16 +863,45 @@ class ImageProcessor {
                throw new Error('Processing cancelled during input measurement');
            }
 
-           // Create output folder
+           // Create output folder (in-place mode: a staging folder inside the backup folder)
            this.updateProgress(0, imageFiles.length, 0, 'Creating output folder...');
-           const outputPath = await this.createOutputFolder(inputPath);
+           const outputPath = this.options.inPlace
+               ? await this.beginInPlaceRun(inputPaths)
+               : await this.createOutputFolder(inputPaths);
 
            if (this.isCancelled) {
                throw new Error('Processing cancelled during output folder creation');
            }
 
-           // Process with Sharp sequential pipeline
-           const results = await this.processSharpSequential(
+           // Leftovers of crashed or killed runs (partial outputs, temp folders)
+           await this.sweepStaleFiles(outputPath);
+
+           // Incremental mode: mark sources unchanged since the last run
+           const incrementalState = this.options.incremental
+               ? await this.markUnchangedFiles(imageFiles, outputPath)
+               : null;
+
+           // Resolve output name collisions before anything is written - over the whole
+           // work list, so a resumed run names its outputs exactly like the paused one.
+           // Names given out earlier (previous incremental runs, earlier watch batches) are kept.
+           const previousNames = new Map([
+               ...(this.options.outputNames || []),
+               ...(incrementalState ? incrementalState.getOutputNames() : [])
+           ]);
+           const collisions = this.planOutputNames(workList, previousNames);
+           if (this.options.outputNames) {
+               for (const file of workList.filter(file => !file.skipReason)) {
+                   this.options.outputNames.set(file.relativePath, file.outputBase);
+               }
+           }
+
+           // Target-size mode: a run budget is shared by the files that get encoded
+           if (this.options.targetSize) {
+               await this.prepareTargetSizes(imageFiles);
+           }
+
+           // Process with Sharp worker pool
+           const results = await this.processSharpPool(
                imageFiles, 
                outputPath, 
                progressInterval
@@ -234,12 +912,34 @@ class ImageProcessor {
                throw new Error('Processing was cancelled by user');
            }
 
+           // In-place mode: replace the originals only once every file is encoded,
+           // so no source is read after another file's output took its place
+           const backupFolder = this.inPlaceJournal ? this.inPlaceJournal.backupFolder : null;
+           if (this.inPlaceJournal) {
+               await this.commitInPlace(imageFiles, results);
+               await fs.rm(outputPath, { recursive: true, force: true });
+               this.tempDirectories = this.tempDirectories.filter(dir => dir !== outputPath);
+               await this.inPlaceJournal.end();
+           }
+
+           // Remember what was written (and optionally prune outputs of deleted sources)
+           let pruned = [];
+           if (incrementalState) {
+               pruned = await this.updateIncrementalState(incrementalState, imageFiles, results);
+           }
+
+           // Responsive mode: map every original to its variants for srcset markup
+           const manifestPath = this.options.responsiveWidths
+               ? await this.writeManifest(outputPath, results)
+               : null;
+
            // Calculate final stats
            const successfulFiles = results.filter(r => r.success).length;
            this.updateProgress(successfulFiles, imageFiles.length, 100, 'Calculating compression statistics...');
            await this.sizeAnalyzer.measureOutputSizes(outputPath, results);
            const compressionStats = this.sizeAnalyzer.calculateStats();
            const formattedStats = this.sizeAnalyzer.formatStatsForUI(compressionStats);
+           const fileDetails = this.sizeAnalyzer.getDetailedComparison();
 
            console.log(`=== FINAL RESULTS ===`);
            console.log(`Successful: ${successfulFiles}/${imageFiles.length}`);
@@ -248,9 +948,17 @@ class ImageProcessor {
                success: true,
                processedFiles: successfulFiles,
                totalFiles: imageFiles.length,
-               outputPath: outputPath,
+               outputPath: this.inPlaceJournal ? null : outputPath, // In place: outputs sit next to their sources
+               manifestPath: manifestPath,
+               backupFolder: backupFolder,
+               sources: inputPaths,
                results: results,
-               compressionStats: formattedStats
+               collisions: collisions,
+               filtered: this.filteredOut,
+               unchangedFiles: results.filter(r => r.unchanged).length,
+               pruned: pruned,
+               compressionStats: formattedStats,
+               fileDetails: fileDetails
            };
 
        } catch (error) {
@@ -265,108 +973,341 @@ class ImageProcessor {
        }
    }
 
-   // Sharp sequential processing - one file at a time with native performance
-   async processSharpSequential(imageFiles, outputPath, progressInterval) {
-       console.log(`=== SHARP SEQUENTIAL START ===`);
-       
-       const results = [];
-       this.processingStartTime = Date.now();
-       let lastProgressUpdate = 0;
-       
-       // Create temp directory for sanitized files (if needed)
-       const tempDirName = this.sanitizer.getTempDirName();
-       const tempDir = path.join(outputPath, '..', tempDirName);
-       let tempDirCreated = false;
+   // Fingerprint of everything that affects the encoded outputs (incremental mode)
+   getSettingsHash() {
+       const { formats, quality, growthPolicy, flattenAnimations, metadataPolicy, resize, responsiveWidths, collisionPolicy, targetSize, qualityGuard } = this.options;
+       const settings = {
+           formats, quality, growthPolicy, flattenAnimations, metadataPolicy, resize, responsiveWidths, collisionPolicy, targetSize, qualityGuard,
+           webpSettings: this.webpSettings
+       };
+       return crypto.createHash('sha256').update(JSON.stringify(settings)).digest('hex');
+   }
 
-       for (let i = 0; i < imageFiles.length; i++) {
-           // Check for cancellation at start of each iteration
+   // Load the incremental state and mark files whose source and settings are unchanged
+   async markUnchangedFiles(imageFiles, outputPath) {
+       this.updateProgress(0, imageFiles.length, 0, 'Checking for changed files...');
+       const state = await new IncrementalState(outputPath, this.getSettingsHash()).load();
+       let unchangedCount = 0;
+       
+       for (const file of imageFiles) {
            if (this.isCancelled) {
-               console.log(`=== PROCESSING CANCELLED AT FILE ${i + 1}/${imageFiles.length} ===`);
-               break;
+               throw new Error('Processing cancelled while checking for changes');
            }
            
-           const file = imageFiles[i];
-           const fileStartTime = Date.now();
-           
            try {
-               // Double-check cancellation before processing each file
-               if (this.isCancelled) {
-                   console.log(`=== CANCELLATION DETECTED BEFORE PROCESSING ${file.name} ===`);
-                   break;
-               }
-               
-               // Check if output directory still exists (user might have deleted it)
-               try {
-                   await fs.access(outputPath);
-               } catch {
-                   throw new Error('Output folder was removed - processing cancelled');
-               }
-               
-               let result;
-               
-               // Check if file needs sanitization
-               if (this.needsSanitization(file.name)) {
-                   // Create temp dir only when first needed
-                   if (!tempDirCreated) {
-                       await fs.mkdir(tempDir, { recursive: true });
-                       tempDirCreated = true;
-                       this.tempDirectories.push(tempDir);
-                   }
-                   
-                   result = await this.processSharpSanitized(file, outputPath, tempDir);
-               } else {
-                   result = await this.processSharpClean(file, outputPath);
-               }
-               
-               results.push(result);
-               
-               // Update processing time statistics
-               const fileProcessTime = Date.now() - fileStartTime;
-               this.updateProcessingStats(fileProcessTime);
-               
-               this.processedCount++;
-               
-               // Smart progress updates - update EVERY file for real-time feedback
-               const currentProgress = (this.processedCount / imageFiles.length) * 100;
-               const etaMessage = this.calculateETA(imageFiles.length);
-               
-               this.updateProgress(
-                this.processedCount,
-                imageFiles.length,
-                currentProgress,
-                file.name  
-               );
-               console.log(`[${this.processedCount}/${imageFiles.length}] Processed: ${file.name}`);
-               
+               file.unchangedEntry = await state.findUnchanged(file);
            } catch (error) {
-               // Check if error is due to cancellation
-               if (this.isCancelled || error.message.includes('cancelled')) {
-                   console.log(`=== PROCESSING CANCELLED DURING ${file.name} ===`);
-                   break;
-               }
-               
-               console.error(`Error processing ${file.name}:`, error.message);
-               results.push({
-                   original: file.name,
-                   error: error.message,
-                   success: false
-               });
-               this.processedCount++;
+               console.warn(`Could not check ${file.relativePath} for changes:`, error.message);
+               file.unchangedEntry = null;
+           }
+           if (file.unchangedEntry) {
+               unchangedCount++;
            }
        }
        
-       // Cleanup temp directory if it was created
-       if (tempDirCreated && !this.isCancelled) {
-           try {
-               await fs.rm(tempDir, { recursive: true, force: true });
-               this.tempDirectories = this.tempDirectories.filter(dir => dir !== tempDir);
-           } catch (error) {
-               console.warn('Failed to cleanup temp directory:', error.message);
+       console.log(`Incremental: ${unchangedCount} unchanged, ${imageFiles.length - unchangedCount} to process`);
+       return state;
+   }
+
+   // Record processed files in the incremental state and save it.
+   // Returns the relative paths of pruned (deleted) sources.
+   async updateIncrementalState(state, imageFiles, results) {
+       const filesByPath = new Map(imageFiles.map(file => [file.relativePath, file]));
+       
+       for (const result of results) {
+           if (result.unchanged) {
+               continue;
            }
+           if (result.success) {
+               await state.record(filesByPath.get(result.relativePath), result);
+           } else {
+               // Failed or skipped - try again next run
+               state.forget(result.relativePath);
+           }
+       }
+       
+       const pruned = this.options.pruneDeleted ? await state.pruneDeleted() : [];
+       await state.save();
+       return pruned;
+   }
+
+   // Backup folder for an in-place run (one folder -> <folder>_backup_<timestamp>)
+   getBackupFolderPath(inputPaths) {
+       if (this.options.backupFolder) {
+           return path.resolve(this.options.backupFolder);
+       }
+       
+       inputPaths = [].concat(inputPaths).map(inputPath => path.resolve(inputPath));
+       const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+       const name = inputPaths.length === 1 ? path.basename(inputPaths[0]) : 'kompressor';
+       return path.join(path.dirname(inputPaths[0]), `${name}_backup_${timestamp}`);
+   }
+
+   // Start an in-place run: journal in the backup folder, outputs staged next to it
+   async beginInPlaceRun(inputPaths) {
+       this.inPlaceJournal = new InPlaceJournal(this.getBackupFolderPath(inputPaths));
+       await this.inPlaceJournal.begin(inputPaths);
+       if (this.options.onInPlaceBegin) {
+           await this.options.onInPlaceBegin(this.inPlaceJournal.backupFolder);
        }
        
-       console.log(`=== SHARP SEQUENTIAL COMPLETE ===`);
-       return results;
+       const stagingPath = path.join(this.inPlaceJournal.backupFolder, '.staging');
+       await fs.mkdir(stagingPath, { recursive: true });
+       this.tempDirectories.push(stagingPath); // Removed on cancel like any temp folder
+       return stagingPath;
+   }
+
+   // Move every staged output into place, one file at a time (in-place mode)
+   async commitInPlace(imageFiles, results) {
+       const filesByPath = new Map(imageFiles.map(file => [file.relativePath, file]));
+       const backedUp = new Set(); // Paths whose original content is already in the backup
+       const successful = results.filter(result => result.success);
+       
+       for (let i = 0; i < successful.length; i++) {
+           await this.waitIfPaused();
+           if (this.isCancelled) {
+               // Files replaced so far are in the journal for undo
+               throw new Error('Processing cancelled while replacing originals');
+           }
+           const result = successful[i];
+           this.updateProgress(i, successful.length, 100, `Replacing originals: ${result.original}`);
+           try {
+               await this.replaceInPlace(filesByPath.get(result.relativePath), result, backedUp);
+           } catch (error) {
+               // Whatever was moved is in the journal - undo still restores it
+               console.error(`In-place replacement failed for ${result.relativePath}:`, error.message);
+               result.success = false;
+               result.error = `In-place replacement failed: ${error.message}`;
+           }
+       }
+   }
+
+   // Move a file's staged outputs next to its original, backing up the original
+   // and anything else in the way. Files without outputs (all dropped) stay untouched,
+   // and so do files whose only output is the never-grow copy of the original.
+   async replaceInPlace(file, result, backedUp) {
+       const outputs = result.outputs.filter(output => output.finalPath);
+       if (outputs.length === 0) {
+           return result;
+       }
+       
+       if (outputs.every(output => output.growth === 'copied')) {
+           // The copy is the original itself - nothing to back up or rename
+           for (const output of outputs) {
+               output.finalPath = file.fullPath;
+               output.compressed = path.relative(file.sourceRoot, file.fullPath);
+           }
+           result.finalPath = result.outputs[0].finalPath;
+           result.compressed = result.outputs[0].compressed;
+           return result;
+       }
+       
+       // Outputs sharing another format's copy of the original follow that copy
+       const staged = outputs.filter(output => !output.sharesCopyWith);
+       const folder = path.dirname(file.fullPath);
+       const relativeFolder = path.dirname(file.relativePath);
+       const targets = staged.map(output => path.join(folder, path.basename(output.finalPath)));
+       
+       for (const filePath of new Set([file.fullPath, ...targets])) {
+           // Already backed up - what's there now is an output of this run
+           if (backedUp.has(filePath)) {
+               continue;
+           }
+           try {
+               await fs.access(filePath);
+           } catch {
+               continue; // Nothing there to back up
+           }
+           const backupPath = await this.inPlaceJournal.backupFile(filePath, path.join(relativeFolder, path.basename(filePath)));
+           backedUp.add(filePath);
+           if (filePath === file.fullPath) {
+               result.backupPath = backupPath; // Where the original is now (comparison viewer)
+           }
+       }
+       
+       for (let i = 0; i < staged.length; i++) {
+           await this.inPlaceJournal.placeOutput(staged[i].finalPath, targets[i]);
+           staged[i].finalPath = targets[i];
+           staged[i].compressed = path.relative(file.sourceRoot, targets[i]);
+       }
+       for (const output of outputs.filter(output => output.sharesCopyWith)) {
+           const copy = staged.find(other => other.format === output.sharesCopyWith);
+           output.finalPath = copy.finalPath;
+           output.compressed = copy.compressed;
+       }
+       
+       result.finalPath = result.outputs[0].finalPath;
+       result.compressed = result.outputs[0].compressed;
+       return result;
+   }
+
+   // Number of files processed at once (0 = one per CPU core)
+   getConcurrency(totalFiles) {
+       const requested = Math.floor(Number(this.options.concurrency)) || 0;
+       const concurrency = requested > 0 ? requested : os.cpus().length;
+       return Math.max(1, Math.min(concurrency, totalFiles));
+   }
+
+   // Sharp worker pool - up to N files in flight, results kept in input order
+   async processSharpPool(imageFiles, outputPath, progressInterval) {
+       const concurrency = this.getConcurrency(imageFiles.length);
+       this.activeConcurrency = concurrency;
+       console.log(`=== SHARP POOL START (${concurrency} workers) ===`);
+       
+       const results = new Array(imageFiles.length);
+       this.processingStartTime = Date.now();
+       let nextIndex = 0;
+       let stopped = false; // Set when a worker hits a cancellation-type error
+       
+       // Create temp directory for sanitized files (if needed) - shared by all workers
+       const tempDirName = this.sanitizer.getTempDirName();
+       const tempDir = path.join(outputPath, '..', tempDirName);
+       let tempDirReady = null;
+       const ensureTempDir = () => {
+           if (!tempDirReady) {
+               this.tempDirectories.push(tempDir);
+               activeTempPaths.add(tempDir);
+               tempDirReady = fs.mkdir(tempDir, { recursive: true });
+           }
+           return tempDirReady;
+       };
+
+       const worker = async () => {
+           while (!this.isCancelled && !stopped) {
+               await this.waitIfPaused();
+               if (this.isCancelled || stopped) {
+                   return;
+               }
+               
+               const index = nextIndex++;
+               if (index >= imageFiles.length) {
+                   return;
+               }
+               
+               const file = imageFiles[index];
+               const fileStartTime = Date.now();
+               
+               try {
+                   results[index] = await this.processPoolFile(file, outputPath, tempDir, ensureTempDir);
+                   this.remainingFiles.delete(file.fullPath);
+                   
+                   // Update processing time statistics
+                   this.updateProcessingStats(Date.now() - fileStartTime);
+                   this.processedCount++;
+                   
+                   // Smart progress updates - update EVERY file for real-time feedback
+                   const currentProgress = (this.processedCount / imageFiles.length) * 100;
+                   this.updateProgress(
+                       this.processedCount,
+                       imageFiles.length,
+                       currentProgress,
+                       file.name
+                   );
+                   console.log(`[${this.processedCount}/${imageFiles.length}] Processed: ${file.name}`);
+                   
+               } catch (error) {
+                   // Check if error is due to cancellation
+                   if (this.isCancelled || error.message.includes('cancelled')) {
+                       console.log(`=== PROCESSING CANCELLED DURING ${file.name} ===`);
+                       stopped = true;
+                       return;
+                   }
+                   
+                   console.error(`Error processing ${file.name}:`, error.message);
+                   this.remainingFiles.delete(file.fullPath);
+                   results[index] = {
+                       original: file.name,
+                       relativePath: file.relativePath,
+                       sourceRoot: file.sourceRoot,
+                       sourcePath: file.fullPath,
+                       error: error.message,
+                       success: false
+                   };
+                   this.processedCount++;
+               }
+           }
+       };
+
+       await Promise.all(Array.from({ length: concurrency }, () => worker()));
+       
+       // Cleanup temp directory if it was created
+       if (tempDirReady && !this.isCancelled) {
+           try {
+               await fs.rm(tempDir, { recursive: true, force: true });
+               this.tempDirectories = this.tempDirectories.filter(dir => dir !== tempDir);
+               activeTempPaths.delete(tempDir);
+           } catch (error) {
+               console.warn('Failed to cleanup temp directory:', error.message);
+           }
+       }
+       
+       console.log(`=== SHARP POOL COMPLETE ===`);
+       // Files never started (cancellation) leave holes - drop them, order is preserved
+       return results.filter(Boolean);
+   }
+
+   // Process a single file from the pool
+   async processPoolFile(file, outputPath, tempDir, ensureTempDir) {
+       // Check if output directory still exists (user might have deleted it)
+       try {
+           await fs.access(outputPath);
+       } catch {
+           throw new Error('Output folder was removed - processing cancelled');
+       }
+       
+       // Incremental mode: source and settings unchanged, the previous outputs stay
+       if (file.unchangedEntry) {
+           const entry = file.unchangedEntry;
+           return {
+               original: file.name,
+               relativePath: file.relativePath,
+               success: false,
+               skipped: true,
+               unchanged: true,
+               error: 'Unchanged since the last run',
+               outputs: entry.outputs.map(output => ({
+                   ...output,
+                   finalPath: output.compressed ? path.join(outputPath, output.compressed) : null
+               })),
+               ...entry.info,
+               sourceRoot: file.sourceRoot,
+               sourcePath: file.fullPath
+           };
+       }
+       
+       // Files skipped by the collision policy are reported, never processed
+       if (file.skipReason) {
+           return {
+               original: file.name,
+               relativePath: file.relativePath,
+               success: false,
+               skipped: true,
+               collidesWith: file.collidesWith,
+               error: file.skipReason,
+               sourceRoot: file.sourceRoot,
+               sourcePath: file.fullPath
+           };
+       }
+       
+       let result;
+       
+       // Check if file needs sanitization
+       if (this.needsSanitization(file.name)) {
+           // Create temp dir only when first needed
+           await ensureTempDir();
+           result = await this.processSharpSanitized(file, outputPath, tempDir);
+       } else {
+           result = await this.processSharpClean(file, outputPath);
+       }
+       
+       if (file.renamed) {
+           result.renamed = true;
+           result.collidesWith = file.collidesWith;
+       }
+       result.sourceRoot = file.sourceRoot;
+       result.sourcePath = file.fullPath;
+       
+       return result;
    }
 
    // Check if filename needs sanitization
@@ -382,35 +1323,24 @@ class ImageProcessor {
                throw new Error('Processing cancelled before Sharp processing');
            }
            
-           const outputBaseName = path.basename(file.name, path.extname(file.name));
-           const outputFileName = outputBaseName + '.webp';
-           const outputFilePath = path.join(outputPath, outputFileName);
-           
-           // Get Sharp WebP settings for this file type
-           const webpSettings = this.getWebPSettings(file.extension, file.fullPath);
-           
-           // Process with Sharp - streaming for memory efficiency
-           await sharp(file.fullPath)
-               .webp(webpSettings)
-               .toFile(outputFilePath);
-            
+           // Encode into every selected output format
+           const { outputs, info } = await this.encodeOutputs(file.fullPath, file, outputPath);
 
            // Final cancellation check after processing
            if (this.isCancelled) {
-               // Clean up the file we just created
-               try {
-                   await fs.unlink(outputFilePath);
-               } catch (e) {
-                   // Ignore cleanup errors
-               }
+               // Clean up the files we just created
+               await this.removeOutputs(outputs);
                throw new Error('Processing cancelled after Sharp processing');
            }
            
            return {
                original: file.name,
-               compressed: outputFileName,
+               relativePath: file.relativePath,
+               compressed: outputs[0].compressed,
                success: true,
-               finalPath: outputFilePath
+               finalPath: outputs[0].finalPath,
+               outputs: outputs,
+               ...info
            };
            
        } catch (error) {
@@ -442,48 +1372,40 @@ class ImageProcessor {
            
            // Create sanitized temp file
            const sanitizedName = this.sanitizer.sanitizeFileName(file.name);
-           const tempPath = path.join(tempDir, sanitizedName);
+           const tempPath = path.join(tempDir, `${this.tempFileCounter++}_${sanitizedName}`);
            
            // Copy to temp location with sanitized name
            await fs.copyFile(file.fullPath, tempPath);
            
-           // Process the sanitized file with Sharp
-           const originalBaseName = path.basename(file.name, path.extname(file.name));
-           const finalName = originalBaseName + '.webp';
-           const finalPath = path.join(outputPath, finalName);
-           
-           // Get Sharp WebP settings for this file type
-           const webpSettings = this.getWebPSettings(file.extension, tempPath);
-           
-           // Process with Sharp
-           await sharp(tempPath)
-               .webp(webpSettings)
-               .toFile(finalPath);
-
-
-           // Clean up temp file immediately
+           // Process the sanitized file with Sharp - output keeps the original name
+           let outputs;
+           let info;
            try {
-               await fs.unlink(tempPath);
-           } catch (e) {
-               // Ignore cleanup errors
-           }
-           
-           // Final cancellation check after processing
-           if (this.isCancelled) {
-               // Clean up the final file we just created
+               ({ outputs, info } = await this.encodeOutputs(tempPath, file, outputPath));
+           } finally {
+               // Clean up temp file immediately
                try {
-                   await fs.unlink(finalPath);
+                   await fs.unlink(tempPath);
                } catch (e) {
                    // Ignore cleanup errors
                }
+           }
+           
+           // Final cancellation check after processing
+           if (this.isCancelled) {
+               // Clean up the final files we just created
+               await this.removeOutputs(outputs);
                throw new Error('Processing cancelled after sanitized Sharp processing');
            }
            
            return {
                original: file.name,
-               compressed: finalName,
+               relativePath: file.relativePath,
+               compressed: outputs[0].compressed,
                success: true,
-               finalPath: finalPath
+               finalPath: outputs[0].finalPath,
+               outputs: outputs,
+               ...info
            };
            
        } catch (error) {
@@ -496,6 +1418,648 @@ class ImageProcessor {
        }
    }
 
+   // Encode one input image into every selected output format.
+   // Returns the outputs and per-file info (animation) for the results
+   async encodeOutputs(inputPath, file, outputPath) {
+       const outputs = [];
+       const image = sharp(inputPath);
+       
+       // Animated GIF/WebP sources (more than one page) keep their frames where the
+       // target format supports animation, unless flattening was requested
+       const metadata = await image.metadata();
+       const frames = metadata.pages || 1;
+       const isAnimated = frames > 1;
+       const keepAnimation = isAnimated && !this.options.flattenAnimations;
+       const animatedImage = keepAnimation ? sharp(inputPath, { animated: true }) : null;
+       
+       // Clean and sanitized paths both end up here, so every output gets the same policy
+       this.applyMetadataPolicy(image, metadata);
+       if (animatedImage) {
+           this.applyMetadataPolicy(animatedImage, metadata);
+       }
+       
+       // Dimensions after auto-rotation (EXIF orientations 5-8 swap width and height)
+       const pageHeight = metadata.pageHeight || metadata.height;
+       const isRotated = metadata.orientation >= 5;
+       const originalSize = {
+           width: isRotated ? pageHeight : metadata.width,
+           height: isRotated ? metadata.width : pageHeight
+       };
+       const resizeOptions = this.getResizeOptions(originalSize);
+       if (resizeOptions) {
+           image.resize(resizeOptions);
+           if (animatedImage) {
+               animatedImage.resize(resizeOptions);
+           }
+       }
+       let outputSize = originalSize;
+       
+       const info = isAnimated ? { animated: true, frames: frames } : { animated: false };
+       
+       await fs.mkdir(path.dirname(this.getOutputFilePath(file, outputPath, '')), { recursive: true });
+       
+       // Source size for the never-grow safeguard. Responsive variants are always kept -
+       // a srcset needs every width, and downscaled variants practically never grow.
+       const responsive = Boolean(this.options.responsiveWidths);
+       const sourceSize = this.options.growthPolicy === 'allow' || responsive ? null : (await fs.stat(inputPath)).size;
+       
+       try {
+           for (const { format, width } of this.getOutputTargets(originalSize)) {
+               if (this.isCancelled) {
+                   throw new Error('Processing cancelled between output formats');
+               }
+               
+               const profile = OUTPUT_FORMATS[format];
+               const variantSuffix = width ? `-${width}w` : '';
+               const outputFilePath = this.getOutputFilePath(file, outputPath, variantSuffix + profile.extension);
+               const animate = keepAnimation && profile.supportsAnimation;
+               const sourceImage = animate ? animatedImage : image;
+               let settings = this.getEncoderSettings(format, file.extension, inputPath);
+               
+               if (animate) {
+                   // Keep frame delays and loop count from the source
+                   settings = { ...settings, loop: metadata.loop !== undefined ? metadata.loop : 0 };
+                   if (metadata.delay) {
+                       settings.delay = metadata.delay;
+                   }
+               }
+               
+               const pipeline = this.createFormatPipeline(sourceImage, profile);
+               if (width) {
+                   pipeline.resize({ width: width, withoutEnlargement: true });
+               }
+               let encoded;
+               let target = null;
+               let guarded = null;
+               if (this.targetSizeEncoder) {
+                   const budgetKey = format + variantSuffix;
+                   const targetBytes = this.getTargetBytes(file, budgetKey);
+                   try {
+                       target = await this.encodeToTarget(pipeline, profile, settings, targetBytes, resizeOptions, animate ? frames : 1);
+                   } finally {
+                       this.spendTargetBytes(budgetKey, targetBytes, target ? target.data.length : 0);
+                   }
+                   await this.writeOutputFile(target.data, outputFilePath);
+                   encoded = target.info;
+               } else if (this.qualityGuard && this.isGuardable(format, settings)) {
+                   guarded = await this.encodeWithQualityGuard(pipeline, profile, settings, animate);
+                   settings = { ...settings, quality: guarded.quality };
+                   await this.writeOutputFile(guarded.data, outputFilePath);
+                   encoded = guarded.info;
+               } else {
+                   encoded = await this.writeOutputFile(pipeline[profile.encoder](settings), outputFilePath);
+               }
+               // Animated outputs report the height of all frames stacked
+               const encodedSize = { width: encoded.width, height: animate ? encoded.height / frames : encoded.height };
+               if (outputs.length === 0) {
+                   outputSize = encodedSize;
+               }
+               
+               const output = {
+                   format: format,
+                   compressed: path.relative(outputPath, outputFilePath),
+                   finalPath: outputFilePath
+               };
+               if (responsive) {
+                   output.width = encodedSize.width;
+                   output.height = encodedSize.height;
+               }
+               if (isAnimated) {
+                   // Flattened: first frame only (requested, or the format can't animate)
+                   output.animated = animate;
+               }
+               if (target) {
+                   output.quality = target.quality;
+                   output.targetBytes = target.targetBytes;
+                   output.targetMet = target.fits;
+                   if (target.scale < 1) {
+                       output.scale = target.scale;
+                   }
+               }
+               if (guarded) {
+                   output.quality = guarded.quality;
+                   output.ssim = Math.round(guarded.score * 10000) / 10000;
+                   output.qualityPassed = guarded.passed;
+                   output.qualityRaised = guarded.attempts > 1;
+               }
+               outputs.push(output);
+               
+               if (sourceSize !== null) {
+                   const growth = await this.applyGrowthPolicy(output, sourceImage, file, outputPath, sourceSize, settings, outputs);
+                   if (growth.growth && guarded) {
+                       // Re-encoded smaller or replaced by the original - the score no longer applies
+                       delete output.ssim;
+                       delete output.qualityPassed;
+                   }
+                   Object.assign(output, growth);
+               }
+           }
+       } catch (error) {
+           // Don't leave a partial set of formats behind
+           await this.removeOutputs(outputs);
+           throw error;
+       }
+       
+       if (isAnimated) {
+           const flattenedFormats = outputs.filter(output => !output.animated).map(output => output.format);
+           if (flattenedFormats.length > 0) {
+               console.log(`${file.relativePath}: animated (${frames} frames), flattened to first frame for ${flattenedFormats.join(', ')}`);
+           }
+       }
+       
+       const cappedWidths = this.getCappedWidths(originalSize);
+       if (cappedWidths.length > 0) {
+           info.cappedWidths = cappedWidths;
+           console.log(`${file.relativePath}: ${originalSize.width}px wide, widths ${cappedWidths.join(', ')} capped to ${originalSize.width}w`);
+       }
+       
+       info.originalWidth = originalSize.width;
+       info.originalHeight = originalSize.height;
+       info.width = outputSize.width;
+       info.height = outputSize.height;
+       
+       return { outputs, info };
+   }
+
+   // Auto-rotate from EXIF orientation, then choose what metadata the encoders write.
+   // Outputs are cloned from this instance, so the policy carries over to every format.
+   applyMetadataPolicy(image, metadata) {
+       // Pixels are turned upright, so no output needs the orientation tag any more
+       image.rotate();
+       
+       switch (this.options.metadataPolicy) {
+           case 'keep':
+               image.keepMetadata();
+               break;
+           case 'icc':
+               image.keepIccProfile();
+               break;
+           case 'copyright': {
+               // EXIF Artist/Copyright and XMP dc:creator/dc:rights - editors write either or both
+               const tags = this.exifReader.readTextTags(metadata.exif, ['Artist', 'Copyright']);
+               if (Object.keys(tags).length > 0) {
+                   image.withExif({ IFD0: tags });
+               }
+               const xmp = this.xmpReader.buildPacket(metadata.xmp, ['rights', 'creator']);
+               if (xmp) {
+                   image.withXmp(xmp);
+               }
+               break;
+           }
+           default:
+               // 'strip' - Sharp writes no metadata unless asked to
+               break;
+       }
+       
+       return image;
+   }
+
+   // Encode one file in memory with the run's settings, for the scan preview estimate.
+   // Returns [{ format, width, size }] - first frame only, no target size or quality guard.
+   async measureSampleOutputs(file) {
+       const image = sharp(file.fullPath);
+       const metadata = await image.metadata();
+       this.applyMetadataPolicy(image, metadata);
+       
+       const pageHeight = metadata.pageHeight || metadata.height;
+       const isRotated = metadata.orientation >= 5;
+       const originalSize = {
+           width: isRotated ? pageHeight : metadata.width,
+           height: isRotated ? metadata.width : pageHeight
+       };
+       const resizeOptions = this.getResizeOptions(originalSize);
+       if (resizeOptions) {
+           image.resize(resizeOptions);
+       }
+       
+       const outputs = [];
+       for (const { format, width } of this.getOutputTargets(originalSize)) {
+           if (this.isCancelled) {
+               throw new Error('Scan preview cancelled');
+           }
+           const profile = OUTPUT_FORMATS[format];
+           const pipeline = this.createFormatPipeline(image, profile);
+           if (width) {
+               pipeline.resize({ width: width, withoutEnlargement: true });
+           }
+           const data = await pipeline[profile.encoder](this.getEncoderSettings(format, file.extension, file.fullPath)).toBuffer();
+           outputs.push({ format: format, width: width, size: data.length });
+       }
+       return outputs;
+   }
+
+   // Outputs to encode for one input: one per format, or one per format and width in
+   // responsive mode (largest first, so the headline size is the full-width variant)
+   getOutputTargets(size) {
+       if (!this.options.responsiveWidths) {
+           return this.options.formats.map(format => ({ format: format, width: null }));
+       }
+       
+       // Never upscale - widths above the source are replaced by one variant at its own width
+       const widths = [...new Set(this.options.responsiveWidths)].filter(width => width <= size.width);
+       if (this.getCappedWidths(size).length > 0 && !widths.includes(size.width)) {
+           widths.push(size.width);
+       }
+       widths.sort((a, b) => b - a);
+       
+       return this.options.formats.flatMap(format => widths.map(width => ({ format: format, width: width })));
+   }
+
+   // Requested responsive widths larger than the source (capped to its own width)
+   getCappedWidths(size) {
+       if (!this.options.responsiveWidths) {
+           return [];
+       }
+       return [...new Set(this.options.responsiveWidths)]
+           .filter(width => width > size.width)
+           .sort((a, b) => a - b);
+   }
+
+   // Write manifest.json mapping every original to its variants (dimensions, bytes, hashes)
+   async writeManifest(outputPath, results) {
+       const images = {};
+       const toUrlPath = filePath => filePath.split(path.sep).join('/');
+       
+       for (const result of results) {
+           // Unchanged files (incremental mode) keep their variants from the previous run
+           if (!result.success && !result.unchanged) {
+               continue;
+           }
+           
+           const variants = [];
+           for (const output of result.outputs) {
+               if (!output.finalPath) {
+                   continue;
+               }
+               const content = await fs.readFile(output.finalPath);
+               variants.push({
+                   format: output.format,
+                   path: toUrlPath(output.compressed),
+                   width: output.width,
+                   height: output.height,
+                   bytes: content.length,
+                   sha256: crypto.createHash('sha256').update(content).digest('hex')
+               });
+           }
+           
+           // Ready-made srcset attribute per format
+           const srcset = {};
+           for (const format of this.options.formats) {
+               srcset[format] = variants
+                   .filter(variant => variant.format === format)
+                   .map(variant => `${variant.path} ${variant.width}w`)
+                   .join(', ');
+           }
+           
+           images[toUrlPath(result.relativePath)] = {
+               width: result.originalWidth,
+               height: result.originalHeight,
+               animated: result.animated,
+               cappedWidths: result.cappedWidths || [], // Requested widths above the source width
+               variants: variants,
+               srcset: srcset
+           };
+       }
+       
+       const manifestPath = path.join(outputPath, MANIFEST_FILE_NAME);
+       const manifest = {
+           generatedAt: new Date().toISOString(),
+           widths: this.options.responsiveWidths,
+           formats: this.options.formats.map(format => ({ format: format, mimeType: OUTPUT_FORMATS[format].mimeType })),
+           images: images
+       };
+       const tempPath = `${manifestPath}.tmp`;
+       await fs.writeFile(tempPath, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+       await fs.rename(tempPath, manifestPath);
+       console.log(`Manifest written: ${manifestPath} (${Object.keys(images).length} images)`);
+       return manifestPath;
+   }
+
+   // Build Sharp resize options for an image of the given (upright) size, null = no resize
+   getResizeOptions(size) {
+       if (!this.options.resize) {
+           return null;
+       }
+       
+       const rules = { ...DEFAULT_RESIZE, ...this.options.resize };
+       const resizeOptions = {
+           fit: rules.fit,
+           withoutEnlargement: rules.withoutEnlargement,
+           kernel: rules.kernel,
+           background: { r: 0, g: 0, b: 0, alpha: 0 } // 'contain' padding, white once flattened for JPEG
+       };
+       
+       if (rules.percent) {
+           // Scaling keeps the aspect ratio - the fit mode has nothing to do
+           resizeOptions.width = Math.max(1, Math.round(size.width * rules.percent / 100));
+           resizeOptions.height = Math.max(1, Math.round(size.height * rules.percent / 100));
+           resizeOptions.fit = 'fill';
+       } else if (rules.longestEdge) {
+           resizeOptions.width = rules.longestEdge;
+           resizeOptions.height = rules.longestEdge;
+           resizeOptions.fit = 'inside';
+       } else {
+           resizeOptions.width = rules.maxWidth || undefined;
+           resizeOptions.height = rules.maxHeight || undefined;
+       }
+       
+       return resizeOptions;
+   }
+
+   // Target-size mode with a run budget: weigh every file that will be encoded by its
+   // pixel count (header only, no decoding) and start one ledger per output
+   async prepareTargetSizes(imageFiles) {
+       this.targetBudgets = new Map(); // format (+ responsive width) -> { remainingBytes, remainingWeight }
+       if (!this.options.targetSize.budgetKB) {
+           return;
+       }
+       
+       this.targetWeightTotal = 0;
+       let weighedFiles = 0;
+       for (const file of imageFiles) {
+           if (file.skipReason || file.unchangedEntry) {
+               continue;
+           }
+           try {
+               const metadata = await sharp(file.fullPath).metadata();
+               file.targetWeight = (metadata.width * (metadata.pageHeight || metadata.height)) || 1;
+           } catch {
+               // Unreadable here (e.g. needs a sanitized copy) - count it as an average file
+               file.targetWeight = weighedFiles > 0 ? this.targetWeightTotal / weighedFiles : 1;
+           }
+           this.targetWeightTotal += file.targetWeight;
+           weighedFiles++;
+       }
+   }
+
+   // Byte limit of one output. A run budget is shared by weight among the files not yet
+   // encoded, and the share is reserved as it is handed out, so files encoded in parallel
+   // never split the same bytes. Every format (and responsive width) gets the whole budget.
+   getTargetBytes(file, budgetKey) {
+       const { maxKB, budgetKB } = this.options.targetSize;
+       if (maxKB) {
+           return Math.max(1, Math.floor(maxKB * 1024));
+       }
+       
+       if (!this.targetBudgets.has(budgetKey)) {
+           this.targetBudgets.set(budgetKey, { remainingBytes: budgetKB * 1024, remainingWeight: this.targetWeightTotal });
+       }
+       const budget = this.targetBudgets.get(budgetKey);
+       const weight = file.targetWeight || 1;
+       const share = budget.remainingWeight > 0 ? Math.min(1, weight / budget.remainingWeight) : 1;
+       const targetBytes = Math.max(1, Math.floor(budget.remainingBytes * share));
+       budget.remainingWeight = Math.max(0, budget.remainingWeight - weight);
+       budget.remainingBytes = Math.max(0, budget.remainingBytes - targetBytes);
+       return targetBytes;
+   }
+
+   // Settle a reserved share once its output is encoded: bytes it didn't use go back to
+   // the budget for later files, an output over its share takes the excess (bytes 0: failed)
+   spendTargetBytes(budgetKey, reservedBytes, bytes) {
+       const budget = this.targetBudgets && this.targetBudgets.get(budgetKey);
+       if (budget) {
+           budget.remainingBytes = Math.max(0, budget.remainingBytes + reservedBytes - bytes);
+       }
+   }
+
+   // Target-size mode: encode at the highest quality (and, if allowed, the largest size)
+   // that fits the byte limit. Lossless formats can only get smaller by downscaling.
+   async encodeToTarget(pipeline, profile, settings, targetBytes, resizeOptions, frames) {
+       const searchable = !settings.lossless && typeof settings.quality === 'number';
+       let fullSize = null; // Output size at scale 1 - always the first attempt
+       
+       const attempt = async (quality, scale) => {
+           if (this.isCancelled) {
+               throw new Error('Processing cancelled during target size search');
+           }
+           const attemptPipeline = pipeline.clone();
+           if (scale < 1) {
+               // Same resize rule, scaled - crops and padding keep their proportions
+               attemptPipeline.resize({
+                   ...(resizeOptions || {}),
+                   width: Math.max(1, Math.round(fullSize.width * scale)),
+                   height: Math.max(1, Math.round(fullSize.height * scale)),
+                   fit: resizeOptions ? resizeOptions.fit : 'fill'
+               });
+           }
+           const encoderSettings = quality === null ? settings : { ...settings, quality: quality };
+           const result = await attemptPipeline[profile.encoder](encoderSettings).toBuffer({ resolveWithObject: true });
+           if (!fullSize) {
+               fullSize = { width: result.info.width, height: result.info.height / frames };
+           }
+           return result;
+       };
+       
+       const result = await this.targetSizeEncoder.encode(attempt, searchable ? settings.quality : null, targetBytes);
+       result.targetBytes = targetBytes;
+       console.log(`Target ${this.formatBytes(targetBytes)} as ${profile.label}: ${this.formatBytes(result.data.length)} at quality ${result.quality === null ? 'lossless' : result.quality}` +
+           `${result.scale < 1 ? `, scale ${result.scale}` : ''}${result.fits ? '' : ' - TARGET MISSED'} (${result.attempts} encodes)`);
+       return result;
+   }
+
+   // Lossy outputs only - lossless WebP and truecolour PNG are exact by definition
+   isGuardable(format, settings) {
+       if (settings.lossless || typeof settings.quality !== 'number') {
+           return false;
+       }
+       return format !== 'png' || settings.palette;
+   }
+
+   // Quality guard: encode, compare with the source pixels by SSIM and re-encode at a
+   // higher quality while the score is below the threshold
+   async encodeWithQualityGuard(pipeline, profile, settings, animate) {
+       const reference = await ImageQuality.getLuma(pipeline);
+       
+       const attempt = async (quality) => {
+           if (this.isCancelled) {
+               throw new Error('Processing cancelled during quality check');
+           }
+           return pipeline.clone()[profile.encoder]({ ...settings, quality: quality }).toBuffer({ resolveWithObject: true });
+       };
+       
+       const result = await this.qualityGuard.encode(attempt, settings.quality, reference, animate);
+       console.log(`Quality check as ${profile.label}: SSIM ${result.score.toFixed(4)} at quality ${result.quality}` +
+           `${result.attempts > 1 ? ` (raised from ${settings.quality})` : ''}${result.passed ? '' : ' - BELOW THRESHOLD'}`);
+       return result;
+   }
+
+   // Write an output under a temporary name next to it and rename it into place once
+   // complete - a crash or cancellation never leaves a truncated file under the final name.
+   // Encodes a Sharp pipeline or writes an encoded buffer; copies copyFromPath when there is neither.
+   async writeOutputFile(source, outputFilePath, copyFromPath = null) {
+       const partialPath = `${outputFilePath}.${process.pid}-${this.tempFileCounter++}${PARTIAL_FILE_SUFFIX}`;
+       activeTempPaths.add(partialPath);
+       
+       try {
+           let info = null;
+           if (Buffer.isBuffer(source)) {
+               await fs.writeFile(partialPath, source);
+           } else if (source) {
+               info = await source.toFile(partialPath);
+           } else {
+               await fs.copyFile(copyFromPath, partialPath);
+           }
+           await fs.rename(partialPath, outputFilePath);
+           return info;
+       } catch (error) {
+           await fs.rm(partialPath, { force: true });
+           throw error;
+       } finally {
+           activeTempPaths.delete(partialPath);
+       }
+   }
+
+   // Remove what crashed or killed runs left behind: partial outputs in the output folder
+   // and temp folders next to it. Paths in use by this process, or touched recently
+   // (possibly by another running instance), are left alone.
+   async sweepStaleFiles(outputPath) {
+       const isStale = async (filePath) => {
+           if (activeTempPaths.has(filePath)) {
+               return false;
+           }
+           try {
+               return Date.now() - (await fs.stat(filePath)).mtimeMs > STALE_TEMP_AGE_MS;
+           } catch {
+               return false; // Already gone
+           }
+       };
+       
+       const stalePaths = [];
+       const walk = async (folderPath) => {
+           let entries = [];
+           try {
+               entries = await fs.readdir(folderPath, { withFileTypes: true });
+           } catch {
+               return;
+           }
+           for (const entry of entries) {
+               const entryPath = path.join(folderPath, entry.name);
+               if (entry.isDirectory()) {
+                   await walk(entryPath);
+               } else if (entry.name.endsWith(PARTIAL_FILE_SUFFIX) && await isStale(entryPath)) {
+                   stalePaths.push(entryPath);
+               }
+           }
+       };
+       
+       // A folder created by this run can't hold leftovers
+       if (!this.ownsOutputFolder) {
+           await walk(outputPath);
+       }
+       
+       try {
+           const siblings = await fs.readdir(path.dirname(outputPath), { withFileTypes: true });
+           for (const entry of siblings) {
+               const entryPath = path.join(path.dirname(outputPath), entry.name);
+               if (entry.isDirectory() && entry.name.startsWith(FileNameSanitizer.TEMP_DIR_PREFIX) && await isStale(entryPath)) {
+                   stalePaths.push(entryPath);
+               }
+           }
+       } catch (error) {
+           console.warn('Could not check for stale temp folders:', error.message);
+       }
+       
+       for (const stalePath of stalePaths) {
+           try {
+               await fs.rm(stalePath, { recursive: true, force: true });
+               console.log(`Removed leftover of an interrupted run: ${stalePath}`);
+           } catch (error) {
+               console.warn(`Could not remove leftover ${stalePath}:`, error.message);
+           }
+       }
+       return stalePaths;
+   }
+
+   // Clone the decoded input into a pipeline for one output format
+   createFormatPipeline(image, profile) {
+       const pipeline = image.clone();
+       if (!profile.supportsAlpha) {
+           // JPEG has no alpha channel - flatten onto white instead of black
+           return pipeline.flatten({ background: '#ffffff' });
+       }
+       return pipeline;
+   }
+
+   // Never-grow safeguard: handle an output that ended up larger than its source.
+   // Returns the fields to update on the output entry (outputs: the source's outputs so far).
+   async applyGrowthPolicy(output, image, file, outputPath, sourceSize, settings, outputs) {
+       const policy = this.options.growthPolicy;
+       let outputSize = (await fs.stat(output.finalPath)).size;
+       
+       if (outputSize <= sourceSize) {
+           return {};
+       }
+       
+       console.log(`${file.relativePath} grew as ${output.format} (${outputSize} > ${sourceSize} bytes), policy: ${policy}`);
+       
+       if (policy === 'retry') {
+           const profile = OUTPUT_FORMATS[output.format];
+           const strongerSettings = this.getStrongerSettings(output.format, settings);
+           await this.writeOutputFile(this.createFormatPipeline(image, profile)[profile.encoder](strongerSettings), output.finalPath);
+           
+           outputSize = (await fs.stat(output.finalPath)).size;
+           if (outputSize <= sourceSize) {
+               return { growth: 'retried' };
+           }
+           // Still larger - fall back to passing the original through
+       }
+       
+       await fs.unlink(output.finalPath);
+       
+       if (policy === 'drop') {
+           return { compressed: null, finalPath: null, growth: 'dropped' };
+       }
+       
+       // The original is copied once per source - later formats that grow share that copy
+       const earlierCopy = outputs.find(other => other !== output && other.growth === 'copied' && !other.sharesCopyWith);
+       if (earlierCopy) {
+           return { compressed: earlierCopy.compressed, finalPath: earlierCopy.finalPath, growth: 'copied', sharesCopyWith: earlierCopy.format };
+       }
+       
+       // Copy the original unchanged under its own name
+       // (photo.original.jpg if a planned output of this run is already called photo.jpg)
+       const sourceExtension = path.extname(file.name);
+       const copyBase = path.join(path.dirname(file.outputBase), path.basename(file.name, sourceExtension));
+       const clashesWithOutput = this.plannedOutputBases.has(copyBase.toLowerCase()) &&
+           this.options.formats.some(format => OUTPUT_FORMATS[format].extension === sourceExtension.toLowerCase());
+       const copyPath = path.join(outputPath, copyBase + (clashesWithOutput ? '.original' : '') + sourceExtension);
+       await this.writeOutputFile(null, copyPath, file.fullPath);
+       return {
+           compressed: path.relative(outputPath, copyPath),
+           finalPath: copyPath,
+           growth: 'copied'
+       };
+   }
+
+   // Stronger (smaller) variant of encoder settings for the never-grow retry
+   getStrongerSettings(format, settings) {
+       const maxEffort = { webp: 6, 'webp-lossless': 6, avif: 9, png: 10 };
+       const stronger = { ...settings };
+       
+       if (maxEffort[format] !== undefined) {
+           stronger.effort = maxEffort[format];
+       }
+       if (format === 'png') {
+           stronger.palette = true;
+       } else if (!stronger.lossless && stronger.quality) {
+           stronger.quality = Math.max(1, stronger.quality - 20);
+       }
+       
+       return stronger;
+   }
+
+   // Remove output files created for a single input
+   async removeOutputs(outputs) {
+       for (const output of outputs) {
+           if (!output.finalPath || output.sharesCopyWith) continue;
+           try {
+               await fs.unlink(output.finalPath);
+           } catch (e) {
+               // Ignore cleanup errors
+           }
+       }
+   }
+
    // Update processing time statistics for ETA calculation
    updateProcessingStats(processingTime) {
        if (this.processedCount === 0) {
@@ -517,8 +2081,8 @@ calculateETA(totalFiles) {
        return ' • finishing...';
    }
    
-   // Use average processing time for ETA
-   const estimatedMs = remainingFiles * this.avgProcessingTime;
+   // Use average processing time for ETA - files run activeConcurrency at a time
+   const estimatedMs = remainingFiles * this.avgProcessingTime / this.activeConcurrency;
    const estimatedSeconds = Math.ceil(estimatedMs / 1000);
    
    if (estimatedSeconds > 60) {
@@ -552,6 +2116,7 @@ calculateETA(totalFiles) {
            for (const tempDir of this.tempDirectories) {
                try {
                    await fs.rm(tempDir, { recursive: true, force: true });
+                   activeTempPaths.delete(tempDir);
                    console.log(`Cleaned up temp directory: ${tempDir}`);
                } catch (error) {
                    console.warn(`Failed to cleanup temp directory ${tempDir}:`, error.message);
@@ -559,7 +2124,7 @@ calculateETA(totalFiles) {
            }
            
            // Optionally clean up output directory if no files were successfully processed
-           if (this.currentOutputPath && this.processedCount === 0) {
+           if (this.currentOutputPath && this.ownsOutputFolder && this.processedCount === 0) {
                try {
                    await fs.rm(this.currentOutputPath, { recursive: true, force: true });
                    console.log(`Cleaned up empty output directory: ${this.currentOutputPath}`);
@@ -575,11 +2140,48 @@ calculateETA(totalFiles) {
        console.log('=== CLEANUP COMPLETE ===');
    }
 
+   // Pause between files - files already encoding finish, no new file starts until resume()
+   pause() {
+       if (this.isCancelled) {
+           return false;
+       }
+       this.isPaused = true;
+       console.log('=== PROCESSING PAUSED ===');
+       return true;
+   }
+
+   // Resume a paused run
+   resume() {
+       this.isPaused = false;
+       for (const resolve of this.pauseWaiters.splice(0)) {
+           resolve();
+       }
+       console.log('=== PROCESSING RESUMED ===');
+   }
+
+   // Source paths not processed yet - null while the work list is still being built
+   getRemainingFiles() {
+       return this.remainingFiles ? [...this.remainingFiles] : null;
+   }
+
+   // Wait here while the run is paused
+   waitIfPaused() {
+       if (!this.isPaused || this.isCancelled) {
+           return Promise.resolve();
+       }
+       return new Promise(resolve => this.pauseWaiters.push(resolve));
+   }
+
    // Cancel processing
    async cancel() {
        console.log('=== CANCELLATION INITIATED ===');
        this.isCancelled = true;
        
+       // Paused workers wake up and stop
+       if (this.isPaused) {
+           this.resume();
+       }
+       
        // Perform immediate cleanup
        await this.performCleanup();
        
@@ -587,4 +2189,9 @@ calculateETA(totalFiles) {
    }
 }
 
+ImageProcessor.OUTPUT_FORMATS = OUTPUT_FORMATS;
+ImageProcessor.PARTIAL_FILE_SUFFIX = PARTIAL_FILE_SUFFIX;
+ImageProcessor.RESIZE_FITS = RESIZE_FITS;
+ImageProcessor.RESIZE_KERNELS = RESIZE_KERNELS;
+
 module.exports = ImageProcessor;
\ No newline at end of file
@@ -0,0 +1,115 @@
+/*
+ * imageQuality.js - Perceptual Quality Guard
+ *
+ * Handles:
+ * - Structural similarity (SSIM) between a source and its encoded output, from raw pixels
+ * - Decoding both sides the same way (alpha flattened onto white, luma only)
+ * - Re-encoding at a higher quality while the score is below the threshold
+ * - Reporting the final score and quality, and whether the threshold was reached
+ */
+
+const sharp = require('sharp');
+
+const DEFAULT_OPTIONS = {
+    minScore: 0.95, // Lowest acceptable SSIM (1 = identical)
+    maxQuality: 95, // Highest quality a re-encode may use
+    qualityStep: 5 // Quality added per re-encode
+};
+
+// SSIM windows: 8x8 pixels, every 4 pixels in both directions
+const WINDOW_SIZE = 8;
+const WINDOW_STRIDE = 4;
+
+// Stabilizing constants for 8-bit data (K1 = 0.01, K2 = 0.03)
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+class ImageQuality {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    // Encode, measure, and raise the quality until the score reaches minScore.
+    // attempt(quality) encodes once and resolves with Sharp's { data, info };
+    // reference is the source as returned by getLuma; animated decodes every frame.
+    // Resolves with { data, info, quality, score, passed, attempts } - when even maxQuality
+    // falls short, the last (highest quality) encode with passed: false.
+    async encode(attempt, quality, reference, animated = false) {
+        let attempts = 0;
+
+        for (;;) {
+            attempts++;
+            const { data, info } = await attempt(quality);
+            const score = await this.measure(reference, data, animated);
+            const passed = score >= this.options.minScore;
+
+            const nextQuality = Math.min(this.options.maxQuality, quality + this.options.qualityStep);
+            if (passed || nextQuality <= quality) {
+                return { data, info, quality, score, passed, attempts };
+            }
+            quality = nextQuality;
+        }
+    }
+
+    // SSIM of an encoded output against the reference pixels
+    async measure(reference, encodedData, animated = false) {
+        const encoded = await ImageQuality.getLuma(sharp(encodedData, { animated: animated }));
+        if (encoded.width !== reference.width || encoded.height !== reference.height) {
+            throw new Error(`Quality check: output is ${encoded.width}x${encoded.height}, source ${reference.width}x${reference.height}`);
+        }
+        return ImageQuality.ssim(reference.data, encoded.data, reference.width, reference.height);
+    }
+
+    // Decode an image (Sharp instance or pipeline) to 8-bit luma, alpha flattened onto white
+    static async getLuma(image) {
+        const { data, info } = await image.clone()
+            .flatten({ background: '#ffffff' })
+            .greyscale()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        return { data: data, width: info.width, height: info.height };
+    }
+
+    // Mean SSIM over overlapping windows of two same-sized luma buffers
+    static ssim(a, b, width, height) {
+        const windowWidth = Math.min(WINDOW_SIZE, width);
+        const windowHeight = Math.min(WINDOW_SIZE, height);
+        const count = windowWidth * windowHeight;
+        let total = 0;
+        let windows = 0;
+
+        for (let top = 0; top + windowHeight <= height; top += WINDOW_STRIDE) {
+            for (let left = 0; left + windowWidth <= width; left += WINDOW_STRIDE) {
+                let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+                for (let y = top; y < top + windowHeight; y++) {
+                    let index = y * width + left;
+                    for (let x = 0; x < windowWidth; x++, index++) {
+                        const valueA = a[index];
+                        const valueB = b[index];
+                        sumA += valueA;
+                        sumB += valueB;
+                        sumAA += valueA * valueA;
+                        sumBB += valueB * valueB;
+                        sumAB += valueA * valueB;
+                    }
+                }
+
+                const meanA = sumA / count;
+                const meanB = sumB / count;
+                const varianceA = sumAA / count - meanA * meanA;
+                const varianceB = sumBB / count - meanB * meanB;
+                const covariance = sumAB / count - meanA * meanB;
+
+                total += ((2 * meanA * meanB + C1) * (2 * covariance + C2)) /
+                    ((meanA * meanA + meanB * meanB + C1) * (varianceA + varianceB + C2));
+                windows++;
+            }
+        }
+
+        return windows > 0 ? total / windows : 1;
+    }
+}
+
+ImageQuality.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = ImageQuality;
@@ -0,0 +1,133 @@
+/*
+ * inPlaceJournal.js - In-Place Replacement Backup and Undo
+ *
+ * Handles:
+ * - Timestamped backup folder for originals replaced by an in-place run
+ * - Append-only journal (journal.jsonl) written BEFORE every file system change
+ * - Moving files into the backup and compressed outputs into place
+ * - Undo: restoring every original exactly, also after a crash mid-run
+ */
+
+const path = require('path');
+const fsSync = require('fs');
+const fs = require('fs').promises;
+
+const JOURNAL_FILE_NAME = 'journal.jsonl';
+
+class InPlaceJournal {
+    constructor(backupFolder) {
+        this.backupFolder = path.resolve(backupFolder);
+        this.journalPath = path.join(this.backupFolder, JOURNAL_FILE_NAME);
+        this.changes = 0; // Files moved by this run so far (0 - nothing to undo)
+    }
+
+    // Create the backup folder and start the journal
+    async begin(sources) {
+        await fs.mkdir(this.backupFolder, { recursive: true });
+        await this.append({ op: 'begin', sources: sources });
+        console.log(`In-place backup folder: ${this.backupFolder}`);
+    }
+
+    // Mark the run as finished (undo works the same either way)
+    async end() {
+        await this.append({ op: 'end' });
+    }
+
+    // Move a file into the backup, keeping its path relative to the backup folder
+    async backupFile(filePath, relativePath) {
+        // Never overwrite an earlier backup - photo.jpg, photo.1.jpg, ...
+        let backupPath = path.join(this.backupFolder, relativePath);
+        const extension = path.extname(backupPath);
+        for (let counter = 1; fsSync.existsSync(backupPath); counter++) {
+            backupPath = path.join(this.backupFolder, `${relativePath.slice(0, -extension.length || undefined)}.${counter}${extension}`);
+        }
+
+        // Journal first - a crash between the two steps leaves the file where it was
+        await this.append({ op: 'backup', path: filePath, backup: backupPath });
+        this.changes++;
+        await fs.mkdir(path.dirname(backupPath), { recursive: true });
+        await InPlaceJournal.moveFile(filePath, backupPath);
+        return backupPath;
+    }
+
+    // Move a compressed output into the place of its original
+    async placeOutput(stagedPath, targetPath) {
+        // Journal first - undo removes the target whether or not the move completed
+        await this.append({ op: 'output', path: targetPath });
+        this.changes++;
+        await InPlaceJournal.moveFile(stagedPath, targetPath);
+        return targetPath;
+    }
+
+    // One journal line per change, appended so concurrent workers never overwrite each other
+    async append(entry) {
+        await fs.appendFile(this.journalPath, JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n', 'utf8');
+    }
+
+    // Rename, falling back to copy + delete across drives
+    static async moveFile(fromPath, toPath) {
+        try {
+            await fs.rename(fromPath, toPath);
+        } catch (error) {
+            if (error.code !== 'EXDEV') {
+                throw error;
+            }
+            await fs.copyFile(fromPath, toPath);
+            await fs.unlink(fromPath);
+        }
+    }
+
+    // Undo a run: remove the outputs it placed, then move every backed-up file back.
+    // Returns counts and per-file errors; the backup folder is removed when all went well.
+    static async undo(backupFolder) {
+        const journal = new InPlaceJournal(backupFolder);
+        const content = await fs.readFile(journal.journalPath, 'utf8');
+
+        // A line cut off by a crash is ignored - its change never started
+        const entries = content.split('\n').filter(Boolean).map(line => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                return null;
+            }
+        }).filter(Boolean);
+
+        const result = { removed: 0, restored: 0, errors: [] };
+
+        for (const entry of entries.filter(entry => entry.op === 'output')) {
+            try {
+                await fs.rm(entry.path, { force: true });
+                result.removed++;
+            } catch (error) {
+                result.errors.push({ path: entry.path, error: error.message });
+            }
+        }
+
+        // Latest first, so a path backed up twice ends with its oldest content
+        for (const entry of entries.filter(entry => entry.op === 'backup').reverse()) {
+            if (!fsSync.existsSync(entry.backup)) {
+                continue; // Crashed before the move - the file never left its place
+            }
+            try {
+                await fs.mkdir(path.dirname(entry.path), { recursive: true });
+                await InPlaceJournal.moveFile(entry.backup, entry.path);
+                result.restored++;
+            } catch (error) {
+                result.errors.push({ path: entry.path, error: error.message });
+            }
+        }
+
+        if (result.errors.length === 0) {
+            await fs.rm(journal.backupFolder, { recursive: true, force: true });
+        } else {
+            await journal.append({ op: 'undo-failed', errors: result.errors });
+        }
+
+        console.log(`Undo: ${result.restored} originals restored, ${result.removed} outputs removed, ${result.errors.length} errors`);
+        return result;
+    }
+}
+
+InPlaceJournal.JOURNAL_FILE_NAME = JOURNAL_FILE_NAME;
+
+module.exports = InPlaceJournal;
@@ -0,0 +1,187 @@
+/*
+ * incrementalState.js - Incremental Run State
+ *
+ * Handles:
+ * - State file in the output folder (.kompressor-state.json)
+ * - Per source: size, mtime, content hash, outputs and the encoder settings used
+ * - Detecting unchanged sources (size/mtime first, content hash when the mtime moved)
+ * - Forgetting failed files so the next run retries them
+ * - Removing outputs whose sources were deleted (optional)
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fsSync = require('fs');
+const fs = require('fs').promises;
+
+const STATE_FILE_NAME = '.kompressor-state.json';
+const STATE_VERSION = 1;
+
+class IncrementalState {
+    // settingsHash identifies the encoder settings - a different hash means re-encode everything
+    constructor(outputPath, settingsHash) {
+        this.outputPath = outputPath;
+        this.filePath = path.join(outputPath, STATE_FILE_NAME);
+        this.settingsHash = settingsHash;
+        this.files = {}; // relative path -> entry
+    }
+
+    // Load the state of the previous run - missing, corrupt or older files start empty
+    async load() {
+        try {
+            const state = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            this.files = state.version === STATE_VERSION && state.files ? state.files : {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Ignoring unreadable incremental state:', error.message);
+            }
+            this.files = {};
+        }
+        console.log(`Incremental state: ${Object.keys(this.files).length} files from the previous run`);
+        return this;
+    }
+
+    // Save the state - temp file first so an interrupted save keeps the old state
+    async save() {
+        const tempPath = `${this.filePath}.tmp`;
+        const state = {
+            version: STATE_VERSION,
+            updatedAt: new Date().toISOString(),
+            files: this.files
+        };
+        await fs.writeFile(tempPath, JSON.stringify(state, null, 2), 'utf8');
+        await fs.rename(tempPath, this.filePath);
+    }
+
+    // Get the previous entry of a file if neither the source, the settings nor the outputs changed
+    async findUnchanged(file) {
+        const entry = this.files[this.getKey(file.relativePath)];
+        if (!entry || entry.settingsHash !== this.settingsHash || entry.sourcePath !== file.fullPath) {
+            return null;
+        }
+
+        const stats = await fs.stat(file.fullPath);
+        if (stats.size !== entry.size) {
+            return null;
+        }
+
+        // Touched but not edited (copied, synced, restored) - the content decides
+        if (stats.mtimeMs !== entry.mtimeMs) {
+            if (await IncrementalState.hashFile(file.fullPath) !== entry.hash) {
+                return null;
+            }
+            entry.mtimeMs = stats.mtimeMs;
+        }
+
+        // Outputs deleted by hand are written again
+        for (const output of entry.outputs) {
+            if (output.compressed && !fsSync.existsSync(path.join(this.outputPath, output.compressed))) {
+                return null;
+            }
+        }
+
+        return entry;
+    }
+
+    // Remember a successfully processed file
+    async record(file, result) {
+        const stats = await fs.stat(file.fullPath);
+        this.files[this.getKey(file.relativePath)] = {
+            sourcePath: file.fullPath,
+            size: stats.size,
+            mtimeMs: stats.mtimeMs,
+            hash: await IncrementalState.hashFile(file.fullPath),
+            settingsHash: this.settingsHash,
+            outputBase: file.outputBase,
+            outputs: result.outputs.map(output => ({
+                format: output.format,
+                compressed: output.compressed,
+                width: output.width,
+                height: output.height,
+                growth: output.growth,
+                animated: output.animated
+            })),
+            info: {
+                animated: result.animated,
+                frames: result.frames,
+                originalWidth: result.originalWidth,
+                originalHeight: result.originalHeight,
+                width: result.width,
+                height: result.height,
+                cappedWidths: result.cappedWidths
+            }
+        };
+    }
+
+    // Output names claimed by files recorded with the current settings (source relative path
+    // -> output base) - planned names must not hand them to another source
+    getOutputNames() {
+        const names = new Map();
+        for (const [key, entry] of Object.entries(this.files)) {
+            if (entry.settingsHash === this.settingsHash) {
+                names.set(key.split('/').join(path.sep), entry.outputBase);
+            }
+        }
+        return names;
+    }
+
+    // Drop a file from the state (failed - retry it next run)
+    forget(relativePath) {
+        delete this.files[this.getKey(relativePath)];
+    }
+
+    // Remove outputs of sources that no longer exist, returns their relative paths
+    async pruneDeleted() {
+        const pruned = [];
+
+        for (const [key, entry] of Object.entries(this.files)) {
+            if (fsSync.existsSync(entry.sourcePath)) {
+                continue;
+            }
+
+            for (const output of entry.outputs) {
+                if (output.compressed) {
+                    await fs.rm(path.join(this.outputPath, output.compressed), { force: true });
+                    await this.removeEmptyFolders(path.dirname(path.join(this.outputPath, output.compressed)));
+                }
+            }
+            delete this.files[key];
+            pruned.push(key);
+            console.log(`Pruned outputs of deleted source: ${key}`);
+        }
+
+        return pruned;
+    }
+
+    // Remove a subfolder of the output folder (and its parents) once nothing is left in it
+    async removeEmptyFolders(folderPath) {
+        while (folderPath.startsWith(this.outputPath + path.sep)) {
+            try {
+                await fs.rmdir(folderPath);
+            } catch {
+                return; // Not empty (or already gone)
+            }
+            folderPath = path.dirname(folderPath);
+        }
+    }
+
+    // State keys use forward slashes so the file is portable between platforms
+    getKey(relativePath) {
+        return relativePath.split(path.sep).join('/');
+    }
+
+    // SHA-256 of a file's content, streamed so large sources don't fill memory
+    static hashFile(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fsSync.createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+    }
+}
+
+IncrementalState.STATE_FILE_NAME = STATE_FILE_NAME;
+
+module.exports = IncrementalState;
@@ -0,0 +1,237 @@
+/*
+ * jobQueue.js - Compression Job Queue
+ *
+ * Handles:
+ * - Several sources lined up as jobs, each with its own encoder settings
+ * - Running jobs one after another (or a few at once)
+ * - Pausing, resuming, cancelling and removing a single job
+ * - Per-job status, progress and result for the job list in the UI
+ */
+
+const path = require('path');
+const ImageProcessor = require('./imageProcessor');
+
+const DEFAULT_OPTIONS = {
+    concurrency: 1 // Jobs running at the same time
+};
+
+// 'queued' -> 'running' <-> 'paused' -> 'completed' / 'failed' / 'cancelled'
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class JobQueue {
+    // runJob(processor, inputPaths, onProgress) runs one job and resolves with its result
+    // ({ success, cancelled, error, ... }); onChange(job) is called after every job update
+    constructor(runJob, options = {}, onChange = null) {
+        this.runJob = runJob;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.onChange = onChange;
+
+        this.jobs = []; // In queue order
+        this.nextId = 1;
+    }
+
+    // Add a job - the options are validated now, so a bad job never enters the queue
+    add(inputPaths, options = {}) {
+        const paths = [].concat(inputPaths).map(inputPath => path.resolve(inputPath));
+        if (paths.length === 0) {
+            throw new Error('Nothing selected to compress');
+        }
+
+        const job = {
+            id: this.nextId++,
+            name: paths.length === 1 ? path.basename(paths[0]) : `${path.basename(paths[0])} +${paths.length - 1}`,
+            inputPaths: paths,
+            options: options,
+            processor: new ImageProcessor(options),
+            status: 'queued',
+            isStarted: false,
+            progress: null,
+            result: null,
+            error: null,
+            addedAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+
+        this.jobs.push(job);
+        console.log(`Job ${job.id} queued: ${job.name}`);
+        this.notify(job);
+        this.runNext();
+        return job;
+    }
+
+    // Pause a job - a running job stops between files and frees its slot for the next job
+    pause(jobId) {
+        const job = this.getJob(jobId);
+        if (job.status === 'running') {
+            job.processor.pause();
+        } else if (job.status !== 'queued') {
+            throw new Error(`Job ${jobId} can't be paused (${job.status})`);
+        }
+
+        job.status = 'paused';
+        this.notify(job);
+        this.runNext();
+        return job;
+    }
+
+    // Resume a paused job - it continues as soon as a slot is free
+    resume(jobId) {
+        const job = this.getJob(jobId);
+        if (job.status !== 'paused') {
+            throw new Error(`Job ${jobId} is not paused`);
+        }
+
+        job.status = 'queued';
+        this.notify(job);
+        this.runNext();
+        return job;
+    }
+
+    // Cancel a job - a job that never started is simply marked cancelled
+    async cancel(jobId) {
+        const job = this.getJob(jobId);
+        if (FINISHED_STATUSES.includes(job.status)) {
+            return job;
+        }
+
+        if (job.isStarted) {
+            // The running processImages call returns as cancelled and finishes the job
+            await job.processor.cancel();
+        } else {
+            this.finish(job, 'cancelled', null, 'Cancelled before it started');
+        }
+        return job;
+    }
+
+    // Remove a job from the list, cancelling it first if it is still running
+    async remove(jobId) {
+        const job = this.getJob(jobId);
+        if (job.isStarted && !FINISHED_STATUSES.includes(job.status)) {
+            await job.processor.cancel();
+        }
+
+        this.jobs = this.jobs.filter(other => other !== job);
+        console.log(`Job ${job.id} removed`);
+        this.runNext();
+    }
+
+    // Remove all finished jobs
+    clearFinished() {
+        this.jobs = this.jobs.filter(job => !FINISHED_STATUSES.includes(job.status));
+    }
+
+    // Change how many jobs run at once
+    setConcurrency(concurrency) {
+        this.options.concurrency = Math.max(1, Math.floor(Number(concurrency)) || 1);
+        this.runNext();
+    }
+
+    // Start (or continue) queued jobs while slots are free
+    runNext() {
+        let running = this.jobs.filter(job => job.status === 'running').length;
+
+        for (const job of this.jobs) {
+            if (running >= this.options.concurrency) {
+                return;
+            }
+            if (job.status !== 'queued') {
+                continue;
+            }
+
+            running++;
+            job.status = 'running';
+            if (job.isStarted) {
+                job.processor.resume(); // Paused earlier - its workers continue
+                this.notify(job);
+            } else {
+                this.start(job);
+            }
+        }
+    }
+
+    // Run a job to its end
+    async start(job) {
+        job.isStarted = true;
+        job.startedAt = new Date().toISOString();
+        console.log(`Job ${job.id} started: ${job.name}`);
+        this.notify(job);
+
+        let result;
+        try {
+            result = await this.runJob(job.processor, job.inputPaths, (progress) => {
+                job.progress = progress;
+                this.notify(job);
+            });
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        if (result.cancelled) {
+            this.finish(job, 'cancelled', null, result.error);
+        } else if (result.success) {
+            this.finish(job, 'completed', result, null);
+        } else {
+            this.finish(job, 'failed', null, result.error);
+        }
+    }
+
+    // Record the outcome of a job and move on to the next one
+    finish(job, status, result, error) {
+        job.status = status;
+        job.result = result;
+        job.error = error;
+        job.finishedAt = new Date().toISOString();
+        console.log(`Job ${job.id} ${status}${error ? `: ${error}` : ''}`);
+
+        this.notify(job);
+        this.runNext();
+    }
+
+    // True while any job is running or paused mid-run
+    hasActiveJobs() {
+        return this.jobs.some(job => job.isStarted && !FINISHED_STATUSES.includes(job.status));
+    }
+
+    getJob(jobId) {
+        const job = this.jobs.find(other => other.id === jobId);
+        if (!job) {
+            throw new Error(`No job with id ${jobId}`);
+        }
+        return job;
+    }
+
+    // Plain copy of a job for the renderer (no processor)
+    describe(job) {
+        return {
+            id: job.id,
+            name: job.name,
+            inputPaths: job.inputPaths,
+            formats: job.processor.options.formats,
+            inPlace: job.processor.options.inPlace,
+            status: job.status,
+            progress: job.progress,
+            result: job.result,
+            error: job.error,
+            addedAt: job.addedAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt
+        };
+    }
+
+    // All jobs in queue order, for the renderer
+    list() {
+        return this.jobs.map(job => this.describe(job));
+    }
+
+    // Report a job change (removed jobs stay silent while they wind down)
+    notify(job) {
+        if (this.onChange && this.jobs.includes(job)) {
+            this.onChange(job);
+        }
+    }
+}
+
+JobQueue.FINISHED_STATUSES = FINISHED_STATUSES;
+
+module.exports = JobQueue;
@@ -8,14 +8,35 @@
 * - Development tools and debugging setup
 * - Cross-platform window behavior management
 * - Real compression cancellation support
+* - Persistent settings and recent folders (userData/settings.json)
+* - Watch-folder mode (new and changed images compressed automatically)
+* - Undo of the last in-place run (originals restored from its backup)
+* - Job queue (several sources with their own settings, paused/cancelled one by one)
+* - Pause and resume, with a paused run's remaining files saved for after a restart
+* - Before/after previews for the comparison viewer
+* - Pre-flight scan preview (dry run with estimated savings)
 */
 
 const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
 const ImageProcessor = require('./imageProcessor');
+const CompressionPresets = require('./compressionPresets');
+const SettingsStore = require('./settingsStore');
+const ReportExporter = require('./reportExporter');
+const FolderWatcher = require('./folderWatcher');
+const InPlaceJournal = require('./inPlaceJournal');
+const JobQueue = require('./jobQueue');
+const ComparisonPreview = require('./comparisonPreview');
+const ScanPreview = require('./scanPreview');
 
 let mainWindow;
 let currentProcessor = null; // Track current processor for cancellation
+let currentRun = null; // { inputPaths, options, isResumable } of the direct run, for pause
+let currentScan = null; // Processor of the running scan preview, for cancellation
+let settingsStore = null;
+let watchSession = null; // Active watch-folder session (one folder at a time)
+let jobQueue = null; // Queued compression jobs
+const comparisonPreview = new ComparisonPreview(); // Images of finished runs for the comparison viewer
 
 function createWindow() {
    mainWindow = new BrowserWindow({
@@ -50,11 +71,15 @@ function createWindow() {
    }
 }
 
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
+   settingsStore = new SettingsStore(path.join(app.getPath('userData'), 'settings.json'));
+   await settingsStore.load();
+   jobQueue = new JobQueue(runCompression, { concurrency: settingsStore.get().jobConcurrency }, sendJobUpdate);
    createWindow();
 });
 
 app.on('window-all-closed', () => {
+   stopWatchSession();
    if (process.platform !== 'darwin') {
        app.quit();
    }
@@ -67,24 +92,112 @@ app.on('activate', () => {
 });
 
 // Handler for image compression
-ipcMain.handle('compress-images', async (event, folderPath) => {
-   const processor = new ImageProcessor();
-   currentProcessor = processor; // Store reference for cancellation
+// (inputPaths: a folder path, or an array mixing files and folders)
+ipcMain.handle('compress-images', async (event, inputPaths, options = {}) => {
+   return runDirectCompression(event, inputPaths, options, false);
+});
+
+// Handler for resuming the run that was paused when the app last closed
+ipcMain.handle('resume-paused-run', async (event) => {
+   const pausedRun = settingsStore.get().pausedRun;
+   if (!pausedRun) {
+       return { success: false, error: 'No paused run to resume' };
+   }
+   
+   // Paused before the work list was built - start over into a fresh output folder
+   const options = pausedRun.remainingFiles
+       ? { ...pausedRun.options, outputFolder: pausedRun.outputPath, resumeFiles: pausedRun.remainingFiles }
+       : pausedRun.options;
+   return runDirectCompression(event, pausedRun.inputPaths, options, true);
+});
+
+// Run a compression started from the progress view (not the job queue)
+async function runDirectCompression(event, inputPaths, options, isResumable) {
+   if (currentProcessor) {
+       return { success: false, error: 'A compression is already running' };
+   }
+   
+   try {
+       // Invalid options (e.g. unknown output format) are reported like any other error
+       const processor = new ImageProcessor(options);
+       currentProcessor = processor; // Store reference for cancellation
+       currentRun = { inputPaths: inputPaths, options: options, isResumable: isResumable };
+       
+       const result = await runCompression(processor, inputPaths, (progressData) => {
+           event.sender.send('compression-progress', progressData);
+       });
+       
+       // Finished, failed or cancelled - the saved paused run is done with.
+       // (A crash mid-run keeps it, so the next start offers to resume again.)
+       if (currentRun.isResumable) {
+           await savePausedRun(null);
+       }
+       return result;
+   } catch (error) {
+       console.error('Compression error:', error);
+       return {
+           success: false,
+           error: error.message
+       };
+   } finally {
+       currentProcessor = null; // Clear reference
+       currentRun = null;
+   }
+}
+
+// Replace the saved paused run (set() merges objects, so the old one is cleared first)
+async function savePausedRun(pausedRun) {
+   await settingsStore.set({ pausedRun: null });
+   if (pausedRun) {
+       await settingsStore.set({ pausedRun: pausedRun });
+   }
+}
+
+// Run one compression (direct or queued job) - never throws, errors and
+// cancellation are returned as { success: false, ... }
+async function runCompression(processor, inputPaths, sendProgress) {
+   let inPlaceRun = null; // Undo target of this run (in-place mode) and the one it replaced
+   let previousInPlaceRun = null;
    
    try {
        console.log('=== COMPRESSION DEBUG ===');
-       console.log('Received folder path:', folderPath);
-       console.log('Type of folderPath:', typeof folderPath);
+       console.log('Received input paths:', inputPaths);
        
-       // Convert path if needed
+       // Convert paths if needed
        const fs = require('fs');
-       const normalizedPath = require('path').resolve(folderPath);
-       console.log('Normalized path:', normalizedPath);
-       console.log('Normalized path exists?', fs.existsSync(normalizedPath));
+       const normalizedPaths = [].concat(inputPaths).map(inputPath => path.resolve(inputPath));
+       console.log('Normalized paths:', normalizedPaths);
        console.log('========================');
        
-       if (!fs.existsSync(normalizedPath)) {
-           throw new Error(`Selected folder does not exist: ${normalizedPath}`);
+       if (normalizedPaths.length === 0) {
+           throw new Error('Nothing selected to compress');
+       }
+       
+       for (const normalizedPath of normalizedPaths) {
+           if (!fs.existsSync(normalizedPath)) {
+               throw new Error(`Selected path does not exist: ${normalizedPath}`);
+           }
+       }
+       
+       // Remember folders for one-click shortcuts in the drop zone
+       for (const normalizedPath of normalizedPaths) {
+           try {
+               if (fs.statSync(normalizedPath).isDirectory()) {
+                   await settingsStore.addRecentFolder(normalizedPath);
+               }
+           } catch (error) {
+               console.error('Error saving recent folder:', error.message);
+           }
+       }
+       
+       // In-place mode: remember the backup folder as soon as its journal exists -
+       // before anything is replaced, so "Undo last run" finds it even if the app crashes mid-run
+       if (processor.options.inPlace) {
+           processor.options.onInPlaceBegin = async (backupFolder) => {
+               inPlaceRun = { backupFolder: backupFolder, time: new Date().toISOString() };
+               previousInPlaceRun = settingsStore.get().lastInPlaceRun;
+               await settingsStore.set({ lastInPlaceRun: inPlaceRun });
+           };
        }
        
        // Throttling variables for progress updates
@@ -102,7 +215,7 @@ ipcMain.handle('compress-images', async (event, folderPath) => {
            
            // Send immediately if enough time has passed, or if it's the final update
            if (now - lastProgressSent >= PROGRESS_THROTTLE || progressData.percent >= 100) {
-               event.sender.send('compression-progress', progressData);
+               sendProgress(progressData);
                lastProgressSent = now;
                console.log(`Progress sent: ${progressData.current}/${progressData.total} (${progressData.percent.toFixed(1)}%)`);
            }
@@ -111,16 +224,17 @@ ipcMain.handle('compress-images', async (event, folderPath) => {
        // Send any pending progress updates at the end
        const sendFinalProgress = () => {
            if (lastProgressData && Date.now() - lastProgressSent >= PROGRESS_THROTTLE && !processor.isCancelled) {
-               event.sender.send('compression-progress', lastProgressData);
+               sendProgress(lastProgressData);
                console.log(`Final progress sent: ${lastProgressData.current}/${lastProgressData.total}`);
            }
        };
        
-       const result = await processor.processImages(normalizedPath, progressCallback);
+       const result = await processor.processImages(normalizedPaths, progressCallback);
        
        // Check if was cancelled
        if (processor.isCancelled) {
            console.log('=== COMPRESSION WAS CANCELLED ===');
+           await restoreLastInPlaceRun(processor, inPlaceRun, previousInPlaceRun);
            return {
                success: false,
                cancelled: true,
@@ -131,17 +245,29 @@ ipcMain.handle('compress-images', async (event, folderPath) => {
        // Ensure final progress is sent
        sendFinalProgress();
        
+       comparisonPreview.allowResult(result);
+       
        return {
            success: true,
            processedFiles: result.processedFiles,
            totalFiles: result.totalFiles,
            outputPath: result.outputPath,
+           manifestPath: result.manifestPath,
+           backupFolder: result.backupFolder,
+           sources: result.sources,
+           results: result.results,
            message: `Successfully compressed ${result.processedFiles} images!`,
-           compressionStats: result.compressionStats
+           collisions: result.collisions,
+           filtered: result.filtered,
+           unchangedFiles: result.unchangedFiles,
+           pruned: result.pruned,
+           compressionStats: result.compressionStats,
+           fileDetails: result.fileDetails
        };
        
    } catch (error) {
        console.error('Compression error:', error);
+       await restoreLastInPlaceRun(processor, inPlaceRun, previousInPlaceRun);
        
        // Check if error was due to cancellation
        if (processor.isCancelled || error.message.includes('cancelled')) {
@@ -157,10 +283,24 @@ ipcMain.handle('compress-images', async (event, folderPath) => {
            success: false,
            error: error.message
        };
-   } finally {
-       currentProcessor = null; // Clear reference
    }
-});
+}
+
+// An in-place run that stopped before replacing any file has nothing to undo -
+// give "Undo last run" back the run it took over (unless a later run has since)
+async function restoreLastInPlaceRun(processor, inPlaceRun, previousInPlaceRun) {
+   if (!inPlaceRun || processor.inPlaceJournal.changes > 0) {
+       return;
+   }
+   try {
+       const lastRun = settingsStore.get().lastInPlaceRun;
+       if (lastRun && lastRun.backupFolder === inPlaceRun.backupFolder) {
+           await settingsStore.set({ lastInPlaceRun: previousInPlaceRun });
+       }
+   } catch (error) {
+       console.error('Error restoring the last in-place run:', error.message);
+   }
+}
 
 // Handler for compression cancellation
 ipcMain.handle('cancel-compression', async () => {
@@ -182,11 +322,339 @@ ipcMain.handle('cancel-compression', async () => {
    }
 });
 
+// Handler for pausing the running compression - files being encoded finish first.
+// The remaining files are saved, so the run can be resumed even after a restart.
+ipcMain.handle('pause-compression', async () => {
+   try {
+       if (!currentProcessor || !currentProcessor.pause()) {
+           return { success: false, message: 'No active compression to pause' };
+       }
+       
+       // In-place runs only pause in memory - their staged outputs can't be picked up later
+       if (currentProcessor.options.inPlace) {
+           return { success: true, persisted: false };
+       }
+       
+       // Paused before the output folder exists - resuming starts the run over
+       const remainingFiles = currentProcessor.currentOutputPath ? currentProcessor.getRemainingFiles() : null;
+       await savePausedRun({
+           inputPaths: currentRun.inputPaths,
+           options: currentRun.options,
+           outputPath: currentProcessor.currentOutputPath,
+           remainingFiles: remainingFiles,
+           time: new Date().toISOString()
+       });
+       currentRun.isResumable = true;
+       
+       return { success: true, persisted: true, remainingFiles: remainingFiles ? remainingFiles.length : null };
+   } catch (error) {
+       console.error('Error pausing compression:', error);
+       return { success: false, error: error.message };
+   }
+});
+
+// Handler for resuming the paused compression
+ipcMain.handle('resume-compression', async () => {
+   if (!currentProcessor || !currentProcessor.isPaused) {
+       return { success: false, message: 'No paused compression to resume' };
+   }
+   currentProcessor.resume();
+   return { success: true };
+});
+
+// Handler for forgetting the saved paused run (its finished outputs stay)
+ipcMain.handle('discard-paused-run', async () => {
+   try {
+       await savePausedRun(null);
+       return { success: true };
+   } catch (error) {
+       console.error('Error discarding paused run:', error);
+       return { success: false, error: error.message };
+   }
+});
+
+// Send a job update (status, progress or result) to the renderer
+function sendJobUpdate(job) {
+   if (mainWindow && !mainWindow.isDestroyed()) {
+       mainWindow.webContents.send('job-update', jobQueue.describe(job));
+   }
+}
+
+// Run a job-queue command and report errors like the other handlers
+async function handleJobCommand(command) {
+   try {
+       const job = await command();
+       return { success: true, job: job ? jobQueue.describe(job) : null, jobs: jobQueue.list() };
+   } catch (error) {
+       console.error('Job queue error:', error.message);
+       return { success: false, error: error.message };
+   }
+}
+
+// Handler for adding a job (inputPaths and options: same as compress-images)
+ipcMain.handle('add-job', async (event, inputPaths, options = {}) => {
+   return handleJobCommand(() => jobQueue.add(inputPaths, options));
+});
+
+// Handlers for single-job commands
+ipcMain.handle('pause-job', async (event, jobId) => handleJobCommand(() => jobQueue.pause(jobId)));
+ipcMain.handle('resume-job', async (event, jobId) => handleJobCommand(() => jobQueue.resume(jobId)));
+ipcMain.handle('cancel-job', async (event, jobId) => handleJobCommand(() => jobQueue.cancel(jobId)));
+ipcMain.handle('remove-job', async (event, jobId) => handleJobCommand(() => jobQueue.remove(jobId)));
+
+// Handler for clearing finished jobs from the list
+ipcMain.handle('clear-finished-jobs', async () => handleJobCommand(() => jobQueue.clearFinished()));
+
+// Handler for the current job list
+ipcMain.handle('get-jobs', async () => {
+   return jobQueue.list();
+});
+
+// Send a watch-mode activity log entry to the renderer
+function sendWatchActivity(type, message, filePath = null) {
+   if (mainWindow && !mainWindow.isDestroyed()) {
+       mainWindow.webContents.send('watch-activity', {
+           time: new Date().toISOString(),
+           type: type, // 'started', 'queued', 'compressed', 'skipped', 'failed', 'error', 'stopped'
+           message: message,
+           path: filePath
+       });
+   }
+}
+
+// Compress the files that finished writing, one batch at a time.
+// Files arriving during a batch are picked up by the next one.
+async function processWatchQueue(session) {
+   if (session.isBusy || session.queue.size === 0 || watchSession !== session) {
+       return;
+   }
+   
+   session.isBusy = true;
+   const filePaths = [...session.queue];
+   session.queue.clear();
+   
+   try {
+       // Same output folder as compressing the watched folder by hand - the subfolder
+       // structure is kept through sourceRoot, outputs of changed files are replaced.
+       // Output names are planned against every earlier batch of the session.
+       const processor = new ImageProcessor({
+           ...session.options,
+           outputFolder: session.outputPath,
+           sourceRoot: session.folderPath,
+           outputNames: session.outputNames
+       });
+       const result = await processor.processImages(filePaths);
+       
+       const details = new Map((result.fileDetails || []).map(file => [file.relativePath, file]));
+       for (const file of result.results) {
+           const detail = details.get(file.relativePath);
+           if (file.success) {
+               const summary = detail ? `${detail.originalSize} -> ${detail.compressedSize} (${detail.ratio} saved)` : 'done';
+               sendWatchActivity('compressed', `${file.relativePath}: ${summary}`, file.sourcePath);
+           } else if (file.skipped) {
+               sendWatchActivity('skipped', `${file.relativePath}: ${file.error}`, file.sourcePath);
+           } else {
+               sendWatchActivity('failed', `${file.relativePath}: ${file.error}`, file.sourcePath);
+           }
+       }
+   } catch (error) {
+       console.error('Watch batch error:', error);
+       sendWatchActivity('error', error.message);
+   } finally {
+       session.isBusy = false;
+   }
+   
+   processWatchQueue(session);
+}
+
+// Stop the active watch session (a running batch is allowed to finish)
+function stopWatchSession() {
+   if (!watchSession) {
+       return false;
+   }
+   
+   watchSession.watcher.stop();
+   sendWatchActivity('stopped', `Stopped watching ${watchSession.folderPath}`);
+   watchSession = null;
+   return true;
+}
+
+// Handler for starting watch-folder mode (options: same as compress-images)
+ipcMain.handle('start-watching', async (event, folderPath, options = {}) => {
+   try {
+       stopWatchSession();
+       
+       const resolvedPath = path.resolve(folderPath);
+       // Validates the options up front and gives the output folder and supported formats
+       const processor = new ImageProcessor(options);
+       if (processor.options.inPlace) {
+           // Replaced files would show up as new images in the watched folder
+           throw new Error('In-place mode can\'t be used with watch mode');
+       }
+       const outputPath = processor.getFolderOutputPath(resolvedPath);
+       
+       const session = {
+           folderPath: resolvedPath,
+           outputPath: outputPath,
+           options: options,
+           outputNames: new Map(), // Source relative path -> output base, over all batches
+           queue: new Set(),
+           isBusy: false,
+           watcher: null
+       };
+       
+       session.watcher = new FolderWatcher(resolvedPath, {
+           supportedFormats: processor.supportedFormats,
+           ignorePaths: [outputPath]
+       }, (filePath) => {
+           session.queue.add(filePath);
+           sendWatchActivity('queued', path.relative(resolvedPath, filePath), filePath);
+           processWatchQueue(session);
+       }, (error) => {
+           sendWatchActivity('error', error.message);
+       });
+       
+       await session.watcher.start();
+       watchSession = session;
+       await settingsStore.addRecentFolder(resolvedPath);
+       sendWatchActivity('started', `Watching ${resolvedPath}`);
+       
+       return { success: true, folderPath: resolvedPath, outputPath: outputPath };
+   } catch (error) {
+       console.error('Error starting watch mode:', error);
+       return { success: false, error: error.message };
+   }
+});
+
+// Handler for stopping watch-folder mode
+ipcMain.handle('stop-watching', async () => {
+   return { success: stopWatchSession() };
+});
+
+// Handler for undoing the last in-place run
+ipcMain.handle('undo-last-run', async () => {
+   try {
+       const lastRun = settingsStore.get().lastInPlaceRun;
+       if (!lastRun) {
+           throw new Error('No in-place run to undo');
+       }
+       if (currentProcessor || jobQueue.hasActiveJobs()) {
+           throw new Error('Wait for the running compression to finish before undoing');
+       }
+       
+       const result = await InPlaceJournal.undo(lastRun.backupFolder);
+       if (result.errors.length === 0) {
+           await settingsStore.set({ lastInPlaceRun: null });
+       }
+       
+       return { success: result.errors.length === 0, backupFolder: lastRun.backupFolder, ...result };
+   } catch (error) {
+       console.error('Undo error:', error);
+       return { success: false, error: error.message };
+   }
+});
+
+// Handler for the pre-flight scan preview (options: same as compress-images) - nothing is written
+ipcMain.handle('scan-preview', async (event, inputPaths, options = {}) => {
+   if (currentScan) {
+       return { success: false, error: 'A scan preview is already running' };
+   }
+   
+   try {
+       const processor = new ImageProcessor(options);
+       currentScan = processor;
+       const preview = await new ScanPreview(processor).run(inputPaths, (message) => {
+           event.sender.send('scan-preview-progress', message);
+       });
+       return { success: true, preview: preview };
+   } catch (error) {
+       if (currentScan && currentScan.isCancelled) {
+           return { success: false, cancelled: true, error: 'Scan preview was cancelled' };
+       }
+       console.error('Scan preview error:', error);
+       return { success: false, error: error.message };
+   } finally {
+       currentScan = null;
+   }
+});
+
+// Handler for cancelling the scan preview
+ipcMain.handle('cancel-scan-preview', async () => {
+   if (currentScan) {
+       currentScan.isCancelled = true;
+       return { success: true };
+   }
+   return { success: false, error: 'No scan preview running' };
+});
+
+// Handler for comparison viewer images (a source or output of a finished run)
+ipcMain.handle('get-comparison-preview', async (event, filePath) => {
+   try {
+       return { success: true, preview: await comparisonPreview.load(filePath) };
+   } catch (error) {
+       console.error('Comparison preview error:', error.message);
+       return { success: false, error: error.message };
+   }
+});
+
+// Handler for compression presets (settings view)
+ipcMain.handle('get-presets', async () => {
+   return new CompressionPresets().getPresetList();
+});
+
+// Handler for exporting a processing report (CSV, JSON or HTML)
+ipcMain.handle('export-report', async (event, result, format) => {
+   try {
+       const exporter = new ReportExporter();
+       const reportFormat = ReportExporter.REPORT_FORMATS[format];
+       if (!reportFormat) {
+           throw new Error(`Unknown report format: ${format}`);
+       }
+       
+       const defaultDir = result.outputPath || app.getPath('documents');
+       const saveResult = await dialog.showSaveDialog(mainWindow, {
+           title: 'Export compression report',
+           defaultPath: path.join(defaultDir, `compression-report.${reportFormat.extension}`),
+           filters: [{ name: reportFormat.label, extensions: [reportFormat.extension] }]
+       });
+       
+       if (saveResult.canceled || !saveResult.filePath) {
+           return { success: false, canceled: true };
+       }
+       
+       const report = exporter.buildReport(result);
+       await exporter.exportReport(report, format, saveResult.filePath);
+       return { success: true, filePath: saveResult.filePath };
+   } catch (error) {
+       console.error('Report export error:', error);
+       return { success: false, error: error.message };
+   }
+});
+
+// Handler for reading persisted settings
+ipcMain.handle('get-settings', async () => {
+   return settingsStore.get();
+});
+
+// Handler for updating persisted settings (partial object, merged into the store)
+ipcMain.handle('set-settings', async (event, partialSettings) => {
+   try {
+       const settings = await settingsStore.set(partialSettings);
+       if (partialSettings.jobConcurrency !== undefined) {
+           jobQueue.setConcurrency(settings.jobConcurrency);
+       }
+       return settings;
+   } catch (error) {
+       console.error('Error saving settings:', error);
+       return { error: error.message };
+   }
+});
+
 // Handler for folder selection
 ipcMain.handle('select-folder', async () => {
    try {
        const result = await dialog.showOpenDialog(mainWindow, {
-           properties: ['openDirectory'],
+           properties: ['openDirectory', 'multiSelections'],
            title: 'Select folder with images'
        });
        
@@ -206,6 +674,22 @@ ipcMain.handle('select-folder', async () => {
    }
 });
 
+// Handler for selecting individual image files
+ipcMain.handle('select-files', async () => {
+   try {
+       return await dialog.showOpenDialog(mainWindow, {
+           properties: ['openFile', 'multiSelections'],
+           title: 'Select images',
+           filters: [
+               { name: 'Images', extensions: ['jpg', 'jpeg', 'png', 'gif', 'svg', 'tiff', 'tif', 'bmp', 'webp'] }
+           ]
+       });
+   } catch (error) {
+       console.error('File selection error:', error);
+       return { canceled: true, error: error.message };
+   }
+});
+
 // Window control handlers
 ipcMain.handle('window-minimize', () => {
     mainWindow.minimize();
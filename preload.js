@@ -9,6 +9,11 @@
 * - Window control functions for custom title bar
 * - Security isolation between frontend and backend
 * - Compression cancellation support
+* - Pause/resume of a compression (also after a restart)
+* - Watch-folder start/stop and activity log events
+* - Job queue commands and job update events
+* - Before/after images for the comparison viewer
+* - Pre-flight scan preview and its progress events
 */
 
 const { contextBridge, ipcRenderer } = require('electron');
@@ -16,14 +21,66 @@ const { contextBridge, ipcRenderer } = require('electron');
 // Secure bridge between UI and main process
 contextBridge.exposeInMainWorld('electronAPI', {
    // Image compression function
-   compressImages: (folderPath) => ipcRenderer.invoke('compress-images', folderPath),
+   // (inputPaths: a folder path or an array of files and folders)
+   compressImages: (inputPaths, options) => ipcRenderer.invoke('compress-images', inputPaths, options),
    
    // Cancel compression function
    cancelCompression: () => ipcRenderer.invoke('cancel-compression'),
    
+   // Pause and resume - a paused run is saved and can be resumed after a restart
+   pauseCompression: () => ipcRenderer.invoke('pause-compression'),
+   resumeCompression: () => ipcRenderer.invoke('resume-compression'),
+   resumePausedRun: () => ipcRenderer.invoke('resume-paused-run'),
+   discardPausedRun: () => ipcRenderer.invoke('discard-paused-run'),
+   
+   // Watch-folder mode - new and changed images in the folder are compressed automatically
+   startWatching: (folderPath, options) => ipcRenderer.invoke('start-watching', folderPath, options),
+   stopWatching: () => ipcRenderer.invoke('stop-watching'),
+   onWatchActivity: (callback) => {
+       ipcRenderer.on('watch-activity', (event, entry) => callback(entry));
+   },
+   
+   // Job queue - each job is a set of sources with its own options
+   addJob: (inputPaths, options) => ipcRenderer.invoke('add-job', inputPaths, options),
+   pauseJob: (jobId) => ipcRenderer.invoke('pause-job', jobId),
+   resumeJob: (jobId) => ipcRenderer.invoke('resume-job', jobId),
+   cancelJob: (jobId) => ipcRenderer.invoke('cancel-job', jobId),
+   removeJob: (jobId) => ipcRenderer.invoke('remove-job', jobId),
+   clearFinishedJobs: () => ipcRenderer.invoke('clear-finished-jobs'),
+   getJobs: () => ipcRenderer.invoke('get-jobs'),
+   onJobUpdate: (callback) => {
+       ipcRenderer.on('job-update', (event, job) => callback(job));
+   },
+   
+   // Restore the originals replaced by the last in-place run
+   undoLastRun: () => ipcRenderer.invoke('undo-last-run'),
+   
+   // Pre-flight scan preview - counts, sizes and estimated savings, nothing is written
+   scanPreview: (inputPaths, options) => ipcRenderer.invoke('scan-preview', inputPaths, options),
+   cancelScanPreview: () => ipcRenderer.invoke('cancel-scan-preview'),
+   onScanPreviewProgress: (callback) => {
+       ipcRenderer.on('scan-preview-progress', (event, message) => callback(message));
+   },
+   
+   // Source or output image of a finished run for the comparison viewer
+   getComparisonPreview: (filePath) => ipcRenderer.invoke('get-comparison-preview', filePath),
+   
+   // Compression presets (named presets, fields and input format groups)
+   getPresets: () => ipcRenderer.invoke('get-presets'),
+   
+   // Export a processing report (format: 'csv', 'json' or 'html')
+   exportReport: (result, format) => ipcRenderer.invoke('export-report', result, format),
+   
+   // Persisted settings (encoder options, output rules, recent folders)
+   getSettings: () => ipcRenderer.invoke('get-settings'),
+   setSettings: (partialSettings) => ipcRenderer.invoke('set-settings', partialSettings),
+   
    // Folder selection function
    selectFolder: () => ipcRenderer.invoke('select-folder'),
    
+   // File selection function (one or more images)
+   selectFiles: () => ipcRenderer.invoke('select-files'),
+   
     // Compression progress listening  
     onCompressionProgress: (callback) => {
         ipcRenderer.on('compression-progress', (event, data) => {
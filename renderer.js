@@ -2,13 +2,18 @@
  * renderer.js - Frontend UI Logic for Elektron Fast Image Kompressor
  * 
  * Handles:
- * - Drag & drop folder functionality
+ * - Drag & drop of folders, images or a mix of both
  * - UI state management (initial, progress, success, error)
  * - Progress tracking and display updates
  * - Communication with main process via electronAPI
  * - User interactions (buttons, events)
  * - File processing workflow coordination
  * - Real cancellation support
+ * - Pause/resume in the progress view, resuming a paused run after a restart
+ * - Compression settings view (presets, custom encoder settings)
+ * - Persisted settings and recent folder shortcuts
+ * - Per-file results table and report export
+ * - Job queue list with per-job pause, resume, cancel and remove
  */
 
 
@@ -40,9 +45,84 @@ const dropZone = document.getElementById('dropZone');
 const progressSection = document.getElementById('progressSection');
 const resultsSection = document.getElementById('resultsSection');
 const selectButton = document.getElementById('selectButton');
+const selectFilesButton = document.getElementById('selectFilesButton');
+const watchButton = document.getElementById('watchButton');
+const queueButton = document.getElementById('queueButton');
 const cancelButton = document.getElementById('cancelButton');
+const pauseButton = document.getElementById('pauseButton');
 const newCompressionButton = document.getElementById('newCompressionButton');
 const retryButton = document.getElementById('retryButton');
+const formatPicker = document.getElementById('formatPicker');
+
+// Settings elements
+const settingsButton = document.getElementById('settingsButton');
+const settingsSection = document.getElementById('settingsSection');
+const settingsDoneButton = document.getElementById('settingsDoneButton');
+const presetSelect = document.getElementById('presetSelect');
+const presetDescription = document.getElementById('presetDescription');
+const presetTable = document.getElementById('presetTable');
+const collisionPolicySelect = document.getElementById('collisionPolicySelect');
+const concurrencyInput = document.getElementById('concurrencyInput');
+const jobConcurrencyInput = document.getElementById('jobConcurrencyInput');
+const growthPolicySelect = document.getElementById('growthPolicySelect');
+const flattenAnimationsInput = document.getElementById('flattenAnimationsInput');
+const metadataPolicySelect = document.getElementById('metadataPolicySelect');
+const targetSizeModeSelect = document.getElementById('targetSizeModeSelect');
+const targetSizeRow = document.getElementById('targetSizeRow');
+const targetSizeInput = document.getElementById('targetSizeInput');
+const targetMinQualityInput = document.getElementById('targetMinQualityInput');
+const targetDownscaleInput = document.getElementById('targetDownscaleInput');
+const qualityGuardInput = document.getElementById('qualityGuardInput');
+const qualityGuardScoreInput = document.getElementById('qualityGuardScoreInput');
+const responsiveEnabledInput = document.getElementById('responsiveEnabledInput');
+const responsiveWidthsInput = document.getElementById('responsiveWidthsInput');
+const resizeModeSelect = document.getElementById('resizeModeSelect');
+const resizeMaxRow = document.getElementById('resizeMaxRow');
+const resizeLongestRow = document.getElementById('resizeLongestRow');
+const resizePercentRow = document.getElementById('resizePercentRow');
+const resizeFitRow = document.getElementById('resizeFitRow');
+const resizeOptionsRow = document.getElementById('resizeOptionsRow');
+const resizeWidthInput = document.getElementById('resizeWidthInput');
+const resizeHeightInput = document.getElementById('resizeHeightInput');
+const resizeLongestEdgeInput = document.getElementById('resizeLongestEdgeInput');
+const resizePercentInput = document.getElementById('resizePercentInput');
+const resizeFitSelect = document.getElementById('resizeFitSelect');
+const resizeKernelSelect = document.getElementById('resizeKernelSelect');
+const resizeNoUpscaleInput = document.getElementById('resizeNoUpscaleInput');
+const outputLocationSelect = document.getElementById('outputLocationSelect');
+const outputDirectoryRow = document.getElementById('outputDirectoryRow');
+const outputDirectoryButton = document.getElementById('outputDirectoryButton');
+const outputSuffixInput = document.getElementById('outputSuffixInput');
+const incrementalInput = document.getElementById('incrementalInput');
+const inPlaceInput = document.getElementById('inPlaceInput');
+const undoButton = document.getElementById('undoButton');
+const undoStatus = document.getElementById('undoStatus');
+const pausedRun = document.getElementById('pausedRun');
+const resumeRunButton = document.getElementById('resumeRunButton');
+const discardRunButton = document.getElementById('discardRunButton');
+const pruneDeletedInput = document.getElementById('pruneDeletedInput');
+const scanIncludeInput = document.getElementById('scanIncludeInput');
+const scanExcludeInput = document.getElementById('scanExcludeInput');
+const scanMaxDepthInput = document.getElementById('scanMaxDepthInput');
+const scanSkipHiddenInput = document.getElementById('scanSkipHiddenInput');
+const scanMinFileSizeInput = document.getElementById('scanMinFileSizeInput');
+const scanMaxFileSizeInput = document.getElementById('scanMaxFileSizeInput');
+const scanMinDimensionInput = document.getElementById('scanMinDimensionInput');
+const scanMaxDimensionInput = document.getElementById('scanMaxDimensionInput');
+const recentFolders = document.getElementById('recentFolders');
+
+// Watch mode elements
+const watchSection = document.getElementById('watchSection');
+const watchFolderPath = document.getElementById('watchFolderPath');
+const watchOutputPath = document.getElementById('watchOutputPath');
+const watchLog = document.getElementById('watchLog');
+const stopWatchButton = document.getElementById('stopWatchButton');
+const MAX_WATCH_LOG_ENTRIES = 200;
+
+// Job queue elements
+const jobQueue = document.getElementById('jobQueue');
+const jobList = document.getElementById('jobList');
+const clearJobsButton = document.getElementById('clearJobsButton');
 
 // Progress elements
 const progressTitle = document.getElementById('progressTitle');
@@ -56,13 +136,101 @@ const successResult = document.getElementById('successResult');
 const errorResult = document.getElementById('errorResult');
 const resultStats = document.getElementById('resultStats');
 const errorMessage = document.getElementById('errorMessage');
+const fileDetails = document.getElementById('fileDetails');
+const reportFormatSelect = document.getElementById('reportFormatSelect');
+const exportReportButton = document.getElementById('exportReportButton');
+const reportStatus = document.getElementById('reportStatus');
+const compareButton = document.getElementById('compareButton');
+
+// Comparison viewer elements
+const comparisonSection = document.getElementById('comparisonSection');
+const comparisonPrevButton = document.getElementById('comparisonPrevButton');
+const comparisonNextButton = document.getElementById('comparisonNextButton');
+const comparisonCounter = document.getElementById('comparisonCounter');
+const comparisonTitle = document.getElementById('comparisonTitle');
+const comparisonOutputSelect = document.getElementById('comparisonOutputSelect');
+const comparisonModeButton = document.getElementById('comparisonModeButton');
+const comparisonZoom = document.getElementById('comparisonZoom');
+const comparisonCloseButton = document.getElementById('comparisonCloseButton');
+const comparisonViewport = document.getElementById('comparisonViewport');
+const comparisonOriginalImage = document.getElementById('comparisonOriginalImage');
+const comparisonCompressedImage = document.getElementById('comparisonCompressedImage');
+const comparisonCompressedPane = document.getElementById('comparisonCompressedPane');
+const comparisonDivider = document.getElementById('comparisonDivider');
+const comparisonStatus = document.getElementById('comparisonStatus');
+const comparisonSplitInput = document.getElementById('comparisonSplitInput');
+const comparisonOriginalInfo = document.getElementById('comparisonOriginalInfo');
+const comparisonCompressedInfo = document.getElementById('comparisonCompressedInfo');
+
+// Scan preview elements
+const previewFirstInput = document.getElementById('previewFirstInput');
+const scanPreviewSection = document.getElementById('scanPreviewSection');
+const scanPreviewStatus = document.getElementById('scanPreviewStatus');
+const scanPreviewSummary = document.getElementById('scanPreviewSummary');
+const scanPreviewLists = document.getElementById('scanPreviewLists');
+const scanPreviewStartButton = document.getElementById('scanPreviewStartButton');
+const scanPreviewCancelButton = document.getElementById('scanPreviewCancelButton');
 
 let isProcessing = false;
 let isCancelling = false;
-let selectedFolderPath = null;
+let isPaused = false;
+let pausedAt = null; // When the run was paused, to keep the ETA honest
+let selectedPaths = []; // Folders and/or files of the current run
 let startTime = null;
 let timerInterval = null;
 let lastProgressUpdate = { current: 0, total: 0, rate: 0 };
+let lastResult = null; // Result of the last successful run, for report export
+let jobs = []; // Job queue as last reported by the main process
+
+// Before/after comparison of the results shown on the success screen
+let comparison = {
+    items: [], // { relativePath, sourcePath, outputs: [{ format, width, path }] } per processed file
+    index: 0,
+    outputIndex: 0,
+    mode: 'slider', // 'slider' or 'side-by-side'
+    split: 50, // Slider position in percent
+    view: { scale: 1, x: 0, y: 0 }, // Zoom and pan shared by both images
+    original: null, // Loaded previews (size, dimensions)
+    compressed: null,
+    errors: { original: null, compressed: null },
+    loadIds: { original: 0, compressed: 0 }, // A newer load of a side wins over a slow older one
+    pan: null // { x, y } of the pointer while dragging
+};
+
+// Pre-flight scan preview of the selection (before starting the run)
+let scanPreview = {
+    isScanning: false,
+    preview: null, // Result of the last scan
+    excluded: new Set(), // Deselected files and folders (absolute paths), left out of the run
+    entries: new Map() // Listed path -> { count, size }, for the totals of the selection
+};
+
+// Compression settings sent along with every run
+let presetCatalog = null;
+let compressionSettings = {
+    preset: 'fastest',
+    customSettings: null, // input group -> WebP settings, filled when Custom is chosen
+    collisionPolicy: 'keep-extension',
+    concurrency: 0, // files processed at once, 0 = one per CPU core
+    growthPolicy: 'retry', // outputs larger than the source
+    flattenAnimations: false, // keep only the first frame of animated GIF/WebP sources
+    metadataPolicy: 'strip', // EXIF/ICC/XMP kept in the outputs
+    targetSize: { mode: 'none', maxKB: 200, budgetKB: 5000, minQuality: 20, allowDownscale: false }, // 'none', 'image' or 'budget'
+    qualityGuard: { enabled: false, minScore: 0.95, maxQuality: 95 }, // SSIM check after encoding
+    resize: {
+        mode: 'none', // 'none', 'max', 'longest' or 'percent'
+        maxWidth: 1920,
+        maxHeight: null,
+        longestEdge: 1920,
+        percent: 50,
+        fit: 'inside',
+        withoutEnlargement: true,
+        kernel: 'lanczos3'
+    },
+    responsive: { enabled: false, widths: [320, 640, 1280, 1920] } // srcset variants + manifest.json
+};
+let outputSettings = { location: 'sibling', directory: null, suffix: '_compressed', incremental: false, pruneDeleted: false, inPlace: false };
+let scanSettings = { include: [], exclude: [], maxDepth: null, skipHidden: false, minFileSizeKB: null, maxFileSizeKB: null, minDimension: null, maxDimension: null };
 
 // Drag and Drop functionality
 dropZone.addEventListener('dragover', (e) => {
@@ -79,20 +247,16 @@ dropZone.addEventListener('drop', (e) => {
    e.preventDefault();
    dropZone.classList.remove('drag-over');
    
-   const files = Array.from(e.dataTransfer.files);
+   // Folders and files can be mixed - the main process builds one work list
+   const paths = Array.from(e.dataTransfer.files)
+       .map(file => file.path)
+       .filter(Boolean);
    
-   if (files.length > 0) {
-       const firstFile = files[0];
-       
-       // Check if it's a directory by checking path property
-       if (firstFile.path && firstFile.type === '') {
-           selectedFolderPath = firstFile.path;
-           startCompression(selectedFolderPath);
-       } else {
-           showError('Please drop a folder, not individual files.');
-       }
+   if (paths.length > 0) {
+       selectedPaths = paths;
+       startOrPreview(selectedPaths);
    } else {
-       showError('Please drop a folder with images.');
+       showError('Please drop folders or images.');
    }
 });
 
@@ -100,15 +264,137 @@ dropZone.addEventListener('drop', (e) => {
 selectButton.addEventListener('click', async () => {
     try {
         const result = await window.electronAPI.selectFolder();
-        if (result && !result.canceled) {
-            selectedFolderPath = result.filePaths[0];
-            startCompression(selectedFolderPath);
+        if (result && !result.canceled && result.filePaths.length > 0) {
+            selectedPaths = result.filePaths;
+            startOrPreview(selectedPaths);
         }
     } catch (error) {
         showError('Error selecting folder: ' + error.message);
     }
 });
 
+// Select files button
+selectFilesButton.addEventListener('click', async () => {
+    try {
+        const result = await window.electronAPI.selectFiles();
+        if (result && !result.canceled && result.filePaths.length > 0) {
+            selectedPaths = result.filePaths;
+            startOrPreview(selectedPaths);
+        }
+    } catch (error) {
+        showError('Error selecting files: ' + error.message);
+    }
+});
+
+// Watch folder button - compress new and changed images as they arrive
+watchButton.addEventListener('click', async () => {
+    try {
+        const result = await window.electronAPI.selectFolder();
+        if (!result || result.canceled || result.filePaths.length === 0) {
+            return;
+        }
+        
+        const watchResult = await window.electronAPI.startWatching(result.filePaths[0], getCompressionOptions());
+        if (!watchResult.success) {
+            showError('Could not watch folder: ' + watchResult.error);
+            return;
+        }
+        
+        hideAllSections();
+        watchFolderPath.textContent = watchResult.folderPath;
+        watchOutputPath.textContent = watchResult.outputPath;
+        watchSection.classList.remove('hidden');
+    } catch (error) {
+        showError('Error starting watch mode: ' + error.message);
+    }
+});
+
+// Add to queue button - every selected folder becomes a job with the current settings
+queueButton.addEventListener('click', async () => {
+    const options = getCompressionOptions();
+    if (options.formats.length === 0) {
+        showError('Select at least one output format.');
+        return;
+    }
+    
+    try {
+        const result = await window.electronAPI.selectFolder();
+        if (!result || result.canceled || result.filePaths.length === 0) {
+            return;
+        }
+        
+        for (const folderPath of result.filePaths) {
+            const jobResult = await window.electronAPI.addJob([folderPath], options);
+            if (!jobResult.success) {
+                showError('Could not queue folder: ' + jobResult.error);
+                return;
+            }
+            jobs = jobResult.jobs;
+        }
+        renderJobs();
+    } catch (error) {
+        showError('Error adding to queue: ' + error.message);
+    }
+});
+
+// Job buttons (pause, resume, cancel, remove, details)
+jobList.addEventListener('click', async (e) => {
+    const { action, jobId } = e.target.dataset;
+    if (!action) return;
+    
+    const id = Number(jobId);
+    if (action === 'details') {
+        const job = jobs.find(other => other.id === id);
+        if (job && job.result) {
+            showSuccess(job.result);
+        }
+        return;
+    }
+    
+    const commands = {
+        pause: window.electronAPI.pauseJob,
+        resume: window.electronAPI.resumeJob,
+        cancel: window.electronAPI.cancelJob,
+        remove: window.electronAPI.removeJob
+    };
+    e.target.disabled = true;
+    try {
+        const result = await commands[action](id);
+        if (result.success) {
+            jobs = result.jobs;
+        } else {
+            console.error(`Job ${action} failed:`, result.error);
+        }
+    } catch (error) {
+        console.error(`Job ${action} failed:`, error);
+    }
+    renderJobs();
+});
+
+// Clear finished jobs button
+clearJobsButton.addEventListener('click', async () => {
+    try {
+        const result = await window.electronAPI.clearFinishedJobs();
+        if (result.success) {
+            jobs = result.jobs;
+        }
+    } catch (error) {
+        console.error('Error clearing jobs:', error);
+    }
+    renderJobs();
+});
+
+// Stop watching button
+stopWatchButton.addEventListener('click', async () => {
+    try {
+        await window.electronAPI.stopWatching();
+    } catch (error) {
+        console.error('Error stopping watch mode:', error);
+    }
+    watchLog.innerHTML = '';
+    resetToInitialState();
+});
+
 // Cancel button - REAL CANCELLATION
 cancelButton.addEventListener('click', async () => {
     if (isProcessing && !isCancelling) {
@@ -129,6 +415,437 @@ cancelButton.addEventListener('click', async () => {
     }
 });
 
+// Pause/resume button - files being encoded finish, finished files are kept
+pauseButton.addEventListener('click', async () => {
+    if (!isProcessing || isCancelling) return;
+    
+    pauseButton.disabled = true;
+    try {
+        if (isPaused) {
+            const result = await window.electronAPI.resumeCompression();
+            if (result.success) {
+                isPaused = false;
+                if (startTime !== null) {
+                    startTime += Date.now() - pausedAt; // Paused time doesn't count for the ETA
+                }
+                pausedAt = null;
+                progressTitle.textContent = 'Processing images...';
+                pauseButton.textContent = 'Pause';
+            }
+        } else {
+            const result = await window.electronAPI.pauseCompression();
+            if (result.success) {
+                isPaused = true;
+                pausedAt = Date.now();
+                progressTitle.textContent = '⏸ Paused';
+                currentFile.textContent = result.persisted
+                    ? 'Finished files are kept - resume now or after a restart'
+                    : 'Finished files are kept - resume before closing the app';
+                pauseButton.textContent = 'Resume';
+            }
+        }
+    } catch (error) {
+        console.error('Error pausing or resuming:', error);
+    }
+    pauseButton.disabled = false;
+});
+
+// Resume the run that was paused when the app last closed
+resumeRunButton.addEventListener('click', () => {
+    selectedPaths = [];
+    startCompression(null, true);
+});
+
+// Forget the paused run (its finished outputs stay where they are)
+discardRunButton.addEventListener('click', async () => {
+    try {
+        await window.electronAPI.discardPausedRun();
+    } catch (error) {
+        console.error('Error discarding paused run:', error);
+    }
+    refreshRecentFolders();
+});
+
+// Settings button - open the settings view
+settingsButton.addEventListener('click', () => {
+    hideAllSections();
+    settingsSection.classList.remove('hidden');
+});
+
+// Settings done button - back to the drop zone
+settingsDoneButton.addEventListener('click', () => {
+    resetToInitialState();
+});
+
+// Preset selection
+presetSelect.addEventListener('change', () => {
+    const presetId = presetSelect.value;
+    
+    // Custom mode starts from the preset that was selected before
+    if (presetId === 'custom' && !compressionSettings.customSettings) {
+        compressionSettings.customSettings = JSON.parse(JSON.stringify(getPresetSettings(compressionSettings.preset)));
+    }
+    
+    compressionSettings.preset = presetId;
+    renderPresetTable();
+    saveSettings();
+});
+
+// Custom setting edits
+presetTable.addEventListener('change', (e) => {
+    const { group, field } = e.target.dataset;
+    if (!group || compressionSettings.preset !== 'custom') return;
+    
+    compressionSettings.customSettings[group][field] = e.target.type === 'checkbox'
+        ? e.target.checked
+        : Number(e.target.value);
+    saveSettings();
+});
+
+// Name collision policy
+collisionPolicySelect.addEventListener('change', () => {
+    compressionSettings.collisionPolicy = collisionPolicySelect.value;
+    saveSettings();
+});
+
+// Never-grow policy
+growthPolicySelect.addEventListener('change', () => {
+    compressionSettings.growthPolicy = growthPolicySelect.value;
+    saveSettings();
+});
+
+// Metadata policy
+metadataPolicySelect.addEventListener('change', () => {
+    compressionSettings.metadataPolicy = metadataPolicySelect.value;
+    saveSettings();
+});
+
+// Target file size - quality is searched per image to fit the limit
+[targetSizeModeSelect, targetSizeInput, targetMinQualityInput, targetDownscaleInput].forEach(input => {
+    input.addEventListener('change', () => {
+        const targetSize = compressionSettings.targetSize;
+        const limit = Math.floor(Number(targetSizeInput.value));
+        const minQuality = Math.floor(Number(targetMinQualityInput.value));
+        
+        if (input === targetSizeModeSelect) {
+            targetSize.mode = targetSizeModeSelect.value;
+        } else if (limit > 0) {
+            targetSize[targetSize.mode === 'budget' ? 'budgetKB' : 'maxKB'] = limit;
+        }
+        targetSize.minQuality = minQuality >= 1 && minQuality <= 100 ? minQuality : targetSize.minQuality;
+        targetSize.allowDownscale = targetDownscaleInput.checked;
+        renderTargetSizeSettings();
+        saveSettings();
+    });
+});
+
+// Quality guard - outputs below the SSIM threshold are re-encoded at a higher quality
+[qualityGuardInput, qualityGuardScoreInput].forEach(input => {
+    input.addEventListener('change', () => {
+        const minScore = Number(qualityGuardScoreInput.value);
+        compressionSettings.qualityGuard = {
+            ...compressionSettings.qualityGuard,
+            enabled: qualityGuardInput.checked,
+            minScore: minScore > 0 && minScore <= 1 ? minScore : compressionSettings.qualityGuard.minScore
+        };
+        renderTargetSizeSettings();
+        saveSettings();
+    });
+});
+
+// Responsive image set - the widths replace the resize rule while enabled
+[responsiveEnabledInput, responsiveWidthsInput].forEach(input => {
+    input.addEventListener('change', () => {
+        const widths = responsiveWidthsInput.value.split(',')
+            .map(width => Math.floor(Number(width.trim())))
+            .filter(width => width > 0);
+        compressionSettings.responsive = {
+            enabled: responsiveEnabledInput.checked,
+            widths: widths.length > 0 ? [...new Set(widths)].sort((a, b) => a - b) : compressionSettings.responsive.widths
+        };
+        renderResizeSettings();
+        saveSettings();
+    });
+});
+
+// Resize rules
+resizeModeSelect.addEventListener('change', () => {
+    compressionSettings.resize.mode = resizeModeSelect.value;
+    renderResizeSettings();
+    saveSettings();
+});
+[resizeWidthInput, resizeHeightInput, resizeLongestEdgeInput, resizePercentInput, resizeFitSelect, resizeKernelSelect, resizeNoUpscaleInput].forEach(input => {
+    input.addEventListener('change', () => {
+        const resize = compressionSettings.resize;
+        resize.maxWidth = readPixels(resizeWidthInput);
+        resize.maxHeight = readPixels(resizeHeightInput);
+        resize.longestEdge = readPixels(resizeLongestEdgeInput) || resize.longestEdge;
+        resize.percent = Number(resizePercentInput.value) > 0 ? Number(resizePercentInput.value) : resize.percent;
+        resize.fit = resizeFitSelect.value;
+        resize.kernel = resizeKernelSelect.value;
+        resize.withoutEnlargement = resizeNoUpscaleInput.checked;
+        renderResizeSettings();
+        saveSettings();
+    });
+});
+
+// Animated sources
+flattenAnimationsInput.addEventListener('change', () => {
+    compressionSettings.flattenAnimations = flattenAnimationsInput.checked;
+    saveSettings();
+});
+
+// Parallel files
+concurrencyInput.addEventListener('change', () => {
+    compressionSettings.concurrency = Math.max(0, Math.floor(Number(concurrencyInput.value)) || 0);
+    concurrencyInput.value = compressionSettings.concurrency;
+    saveSettings();
+});
+
+// Queued jobs at once
+jobConcurrencyInput.addEventListener('change', async () => {
+    const jobConcurrency = Math.max(1, Math.floor(Number(jobConcurrencyInput.value)) || 1);
+    jobConcurrencyInput.value = jobConcurrency;
+    try {
+        await window.electronAPI.setSettings({ jobConcurrency: jobConcurrency });
+    } catch (error) {
+        console.error('Error saving settings:', error);
+    }
+});
+
+// Scan preview before compressing
+previewFirstInput.addEventListener('change', async () => {
+    try {
+        await window.electronAPI.setSettings({ previewFirst: previewFirstInput.checked });
+    } catch (error) {
+        console.error('Error saving settings:', error);
+    }
+});
+
+// Output location rule
+outputLocationSelect.addEventListener('change', () => {
+    outputSettings.location = outputLocationSelect.value;
+    renderOutputSettings();
+    saveSettings();
+});
+
+// Output folder chooser (reuses the folder selection dialog)
+outputDirectoryButton.addEventListener('click', async () => {
+    const result = await window.electronAPI.selectFolder();
+    if (result && !result.canceled) {
+        outputSettings.directory = result.filePaths[0];
+        renderOutputSettings();
+        saveSettings();
+    }
+});
+
+// Output folder suffix
+outputSuffixInput.addEventListener('change', () => {
+    outputSettings.suffix = outputSuffixInput.value.trim() || '_compressed';
+    renderOutputSettings();
+    saveSettings();
+});
+
+// In-place replacement
+inPlaceInput.addEventListener('change', () => {
+    outputSettings.inPlace = inPlaceInput.checked;
+    renderOutputSettings();
+    saveSettings();
+});
+
+// Scan filters - one handler for all fields, empty number fields mean no limit
+[scanIncludeInput, scanExcludeInput, scanMaxDepthInput, scanSkipHiddenInput, scanMinFileSizeInput,
+    scanMaxFileSizeInput, scanMinDimensionInput, scanMaxDimensionInput].forEach(input => {
+    input.addEventListener('change', () => {
+        const patterns = (value) => value.split(',').map(pattern => pattern.trim()).filter(Boolean);
+        const limit = (value, isWhole) => {
+            const number = isWhole ? Math.floor(Number(value)) : Number(value);
+            return value.trim() === '' || !Number.isFinite(number) || number < 0 ? null : number;
+        };
+        scanSettings = {
+            include: patterns(scanIncludeInput.value),
+            exclude: patterns(scanExcludeInput.value),
+            maxDepth: limit(scanMaxDepthInput.value, true),
+            skipHidden: scanSkipHiddenInput.checked,
+            minFileSizeKB: limit(scanMinFileSizeInput.value, false),
+            maxFileSizeKB: limit(scanMaxFileSizeInput.value, false),
+            minDimension: limit(scanMinDimensionInput.value, true) || null,
+            maxDimension: limit(scanMaxDimensionInput.value, true) || null
+        };
+        renderScanSettings();
+        saveSettings();
+    });
+});
+
+// Undo last in-place run - restores the originals from its backup folder
+undoButton.addEventListener('click', async () => {
+    undoButton.disabled = true;
+    undoStatus.textContent = 'Restoring originals...';
+    try {
+        const result = await window.electronAPI.undoLastRun();
+        if (result.success) {
+            undoStatus.textContent = `Restored ${result.restored} originals, removed ${result.removed} outputs`;
+        } else if (result.errors) {
+            undoStatus.textContent = `Undo incomplete - ${result.errors.length} files could not be restored, backup kept in ${result.backupFolder}`;
+        } else {
+            undoStatus.textContent = `Undo failed: ${result.error}`;
+        }
+    } catch (error) {
+        undoStatus.textContent = `Undo failed: ${error.message}`;
+    }
+    undoButton.disabled = false;
+    refreshRecentFolders();
+});
+
+// Incremental re-runs
+[incrementalInput, pruneDeletedInput].forEach(input => {
+    input.addEventListener('change', () => {
+        outputSettings.incremental = incrementalInput.checked;
+        outputSettings.pruneDeleted = pruneDeletedInput.checked;
+        renderOutputSettings();
+        saveSettings();
+    });
+});
+
+// Recent folder shortcuts
+recentFolders.addEventListener('click', (e) => {
+    const folderPath = e.target.dataset.path;
+    if (folderPath) {
+        selectedPaths = [folderPath];
+        startOrPreview(selectedPaths);
+    }
+});
+
+// Export report button
+exportReportButton.addEventListener('click', async () => {
+    if (!lastResult) return;
+    
+    reportStatus.textContent = '';
+    try {
+        const exportResult = await window.electronAPI.exportReport(lastResult, reportFormatSelect.value);
+        if (exportResult.success) {
+            reportStatus.textContent = `Report saved: ${exportResult.filePath}`;
+        } else if (!exportResult.canceled) {
+            reportStatus.textContent = `Export failed: ${exportResult.error}`;
+        }
+    } catch (error) {
+        reportStatus.textContent = `Export failed: ${error.message}`;
+    }
+});
+
+// Scan preview: compress the selection without the deselected files and folders
+scanPreviewStartButton.addEventListener('click', () => {
+    startCompression(selectedPaths, false, [...scanPreview.excluded]);
+});
+
+// Scan preview: stop the scan, or leave the preview without compressing
+scanPreviewCancelButton.addEventListener('click', async () => {
+    if (scanPreview.isScanning) {
+        scanPreviewCancelButton.disabled = true;
+        scanPreviewStatus.textContent = 'Cancelling...';
+        await window.electronAPI.cancelScanPreview();
+    } else {
+        resetToInitialState();
+    }
+});
+
+// Scan preview: (de)select a folder or file
+scanPreviewLists.addEventListener('change', (e) => {
+    const scanPath = e.target.dataset.path;
+    if (!scanPath) return;
+    
+    if (e.target.checked) {
+        scanPreview.excluded.delete(scanPath);
+    } else {
+        scanPreview.excluded.add(scanPath);
+    }
+    updateScanPreviewSelection();
+});
+
+// Comparison viewer - opened from the success screen
+compareButton.addEventListener('click', () => {
+    openComparison();
+});
+
+comparisonPrevButton.addEventListener('click', () => showComparisonItem(comparison.index - 1));
+comparisonNextButton.addEventListener('click', () => showComparisonItem(comparison.index + 1));
+comparisonCloseButton.addEventListener('click', () => closeComparison());
+
+comparisonOutputSelect.addEventListener('change', () => {
+    showComparisonOutput(Number(comparisonOutputSelect.value));
+});
+
+comparisonModeButton.addEventListener('click', () => {
+    setComparisonMode(comparison.mode === 'slider' ? 'side-by-side' : 'slider');
+});
+
+comparisonSplitInput.addEventListener('input', () => {
+    comparison.split = Number(comparisonSplitInput.value);
+    applyComparisonView();
+});
+
+// Zoom around the pointer - both images follow
+comparisonViewport.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const pane = e.target.closest('.comparison-pane') || comparisonViewport;
+    const bounds = pane.getBoundingClientRect();
+    zoomComparison(e.deltaY < 0 ? 1.25 : 0.8, e.clientX - bounds.left, e.clientY - bounds.top);
+}, { passive: false });
+
+// Drag to pan
+comparisonViewport.addEventListener('mousedown', (e) => {
+    comparison.pan = { x: e.clientX, y: e.clientY };
+    comparisonViewport.classList.add('panning');
+});
+
+window.addEventListener('mousemove', (e) => {
+    if (!comparison.pan) return;
+    comparison.view.x += e.clientX - comparison.pan.x;
+    comparison.view.y += e.clientY - comparison.pan.y;
+    comparison.pan = { x: e.clientX, y: e.clientY };
+    applyComparisonView();
+});
+
+window.addEventListener('mouseup', () => {
+    comparison.pan = null;
+    comparisonViewport.classList.remove('panning');
+});
+
+comparisonViewport.addEventListener('dblclick', () => fitComparison());
+
+// Keyboard: arrows browse files and outputs, +/- zoom, 0 fits, 1 is 100%, S switches the mode
+document.addEventListener('keydown', (e) => {
+    if (comparisonSection.classList.contains('hidden') || (['INPUT', 'SELECT'].includes(e.target.tagName) && e.target.type !== 'range')) {
+        return;
+    }
+    
+    const actions = {
+        ArrowLeft: () => showComparisonItem(comparison.index - 1),
+        ArrowRight: () => showComparisonItem(comparison.index + 1),
+        ArrowUp: () => showComparisonOutput(comparison.outputIndex - 1),
+        ArrowDown: () => showComparisonOutput(comparison.outputIndex + 1),
+        '+': () => zoomComparison(1.25),
+        '=': () => zoomComparison(1.25),
+        '-': () => zoomComparison(0.8),
+        '0': () => fitComparison(),
+        '1': () => zoomComparison(1 / comparison.view.scale),
+        s: () => setComparisonMode(comparison.mode === 'slider' ? 'side-by-side' : 'slider'),
+        Escape: () => closeComparison()
+    };
+    const action = actions[e.key];
+    if (action) {
+        e.preventDefault();
+        action();
+    }
+});
+
+// Keep the images fitted when the window changes size
+window.addEventListener('resize', () => {
+    if (!comparisonSection.classList.contains('hidden')) {
+        fitComparison();
+    }
+});
+
 // New compression button
 newCompressionButton.addEventListener('click', () => {
     resetToInitialState();
@@ -141,7 +858,7 @@ retryButton.addEventListener('click', () => {
 
 // Real-time timer update function
 function updateTimer() {
-    if (!startTime || !lastProgressUpdate.total || !lastProgressUpdate.current || isCancelling) return;
+    if (!startTime || !lastProgressUpdate.total || !lastProgressUpdate.current || isCancelling || isPaused) return;
     
     const now = Date.now();
     const elapsed = (now - startTime) / 1000; // seconds
@@ -180,9 +897,359 @@ function updateTimer() {
     }
 } 
 
-// Start compression process
-async function startCompression(folderPath) {
+// WebP and lossless WebP share the .webp extension - keep them mutually exclusive
+formatPicker.addEventListener('change', (e) => {
+    const exclusive = { 'webp': 'webp-lossless', 'webp-lossless': 'webp' };
+    if (e.target.checked && exclusive[e.target.value]) {
+        formatPicker.querySelector(`input[value="${exclusive[e.target.value]}"]`).checked = false;
+    }
+    saveSettings();
+});
+
+// Get output formats ticked in the drop zone, in display order
+function getSelectedFormats() {
+    return Array.from(formatPicker.querySelectorAll('input[name="outputFormat"]:checked'))
+        .map(input => input.value);
+}
+
+// Display label for an output format id
+function getFormatLabel(format) {
+    const input = formatPicker.querySelector(`input[value="${format}"]`);
+    return input ? input.parentElement.textContent.trim() : format.toUpperCase();
+}
+
+// Load the preset catalog from the main process and build the settings view
+async function loadPresets() {
+    try {
+        presetCatalog = await window.electronAPI.getPresets();
+        
+        presetSelect.innerHTML = presetCatalog.presets
+            .map(preset => `<option value="${preset.id}">${escapeHtml(preset.label)}</option>`)
+            .join('') + '<option value="custom">Custom</option>';
+        presetSelect.value = compressionSettings.preset;
+        
+        renderPresetTable();
+    } catch (error) {
+        console.error('Error loading presets:', error);
+    }
+}
+
+// Settings table of the selected preset (input group -> WebP settings)
+function getPresetSettings(presetId) {
+    if (presetId === 'custom') {
+        return compressionSettings.customSettings;
+    }
+    return presetCatalog.presets.find(preset => preset.id === presetId).settings;
+}
+
+// Render per-input-format settings - editable only in Custom mode
+function renderPresetTable() {
+    if (!presetCatalog) return;
+    
+    const isCustom = compressionSettings.preset === 'custom';
+    const settings = getPresetSettings(compressionSettings.preset);
+    const fields = Object.keys(presetCatalog.fields);
+    const preset = presetCatalog.presets.find(p => p.id === compressionSettings.preset);
+    
+    presetDescription.textContent = isCustom
+        ? 'Custom WebP settings for each input format'
+        : preset.description;
+    
+    let tableHTML = `<tr><th>Input</th>${fields.map(field => `<th>${field}</th>`).join('')}</tr>`;
+    
+    presetCatalog.inputGroups.forEach(group => {
+        tableHTML += `<tr><td>${group.toUpperCase()}</td>`;
+        fields.forEach(field => {
+            const rule = presetCatalog.fields[field];
+            const value = settings[group][field];
+            const disabled = isCustom ? '' : 'disabled';
+            
+            if (rule.type === 'boolean') {
+                tableHTML += `<td><input type="checkbox" data-group="${group}" data-field="${field}" ${value ? 'checked' : ''} ${disabled}></td>`;
+            } else {
+                tableHTML += `<td><input type="number" data-group="${group}" data-field="${field}" min="${rule.min}" max="${rule.max}" value="${value}" ${disabled}></td>`;
+            }
+        });
+        tableHTML += '</tr>';
+    });
+    
+    presetTable.innerHTML = tableHTML;
+}
+
+// Load persisted settings and apply them to the UI
+async function loadSettings() {
+    try {
+        const settings = await window.electronAPI.getSettings();
+        
+        compressionSettings = {
+            preset: settings.encoder.preset,
+            customSettings: settings.encoder.customSettings,
+            collisionPolicy: settings.encoder.collisionPolicy,
+            concurrency: settings.encoder.concurrency,
+            growthPolicy: settings.encoder.growthPolicy,
+            flattenAnimations: settings.encoder.flattenAnimations,
+            metadataPolicy: settings.encoder.metadataPolicy,
+            targetSize: settings.encoder.targetSize,
+            qualityGuard: settings.encoder.qualityGuard,
+            resize: settings.encoder.resize,
+            responsive: settings.encoder.responsive
+        };
+        if (compressionSettings.preset === 'custom' && !compressionSettings.customSettings) {
+            compressionSettings.preset = 'fastest';
+        }
+        outputSettings = settings.output;
+        scanSettings = settings.scan;
+        
+        formatPicker.querySelectorAll('input[name="outputFormat"]').forEach(input => {
+            input.checked = settings.encoder.formats.includes(input.value);
+        });
+        collisionPolicySelect.value = compressionSettings.collisionPolicy;
+        concurrencyInput.value = compressionSettings.concurrency;
+        jobConcurrencyInput.value = settings.jobConcurrency;
+        previewFirstInput.checked = settings.previewFirst;
+        growthPolicySelect.value = compressionSettings.growthPolicy;
+        flattenAnimationsInput.checked = compressionSettings.flattenAnimations;
+        metadataPolicySelect.value = compressionSettings.metadataPolicy;
+        renderTargetSizeSettings();
+        renderResizeSettings();
+        
+        renderOutputSettings();
+        renderScanSettings();
+        renderRecentFolders(settings.recentFolders);
+        renderPausedRun(settings.pausedRun);
+        undoButton.classList.toggle('hidden', !settings.lastInPlaceRun);
+    } catch (error) {
+        console.error('Error loading settings:', error);
+    }
+}
+
+// Persist encoder options and output rules
+async function saveSettings() {
+    try {
+        await window.electronAPI.setSettings({
+            encoder: {
+                formats: getSelectedFormats(),
+                preset: compressionSettings.preset,
+                customSettings: compressionSettings.customSettings,
+                collisionPolicy: compressionSettings.collisionPolicy,
+                concurrency: compressionSettings.concurrency,
+                growthPolicy: compressionSettings.growthPolicy,
+                flattenAnimations: compressionSettings.flattenAnimations,
+                metadataPolicy: compressionSettings.metadataPolicy,
+                targetSize: compressionSettings.targetSize,
+                qualityGuard: compressionSettings.qualityGuard,
+                resize: compressionSettings.resize,
+                responsive: compressionSettings.responsive
+            },
+            output: outputSettings,
+            scan: scanSettings
+        });
+    } catch (error) {
+        console.error('Error saving settings:', error);
+    }
+}
+
+// Show the scan filters (empty fields for no limit)
+function renderScanSettings() {
+    const show = value => value === null ? '' : value;
+    scanIncludeInput.value = scanSettings.include.join(', ');
+    scanExcludeInput.value = scanSettings.exclude.join(', ');
+    scanMaxDepthInput.value = show(scanSettings.maxDepth);
+    scanSkipHiddenInput.checked = scanSettings.skipHidden;
+    scanMinFileSizeInput.value = show(scanSettings.minFileSizeKB);
+    scanMaxFileSizeInput.value = show(scanSettings.maxFileSizeKB);
+    scanMinDimensionInput.value = show(scanSettings.minDimension);
+    scanMaxDimensionInput.value = show(scanSettings.maxDimension);
+}
+
+// Scan filters for the processor, null when none are set
+function getScanFilters() {
+    const { include, exclude, skipHidden, ...limits } = scanSettings;
+    const isSet = include.length > 0 || exclude.length > 0 || skipHidden || Object.values(limits).some(value => value !== null);
+    return isSet ? { ...scanSettings } : null;
+}
+
+// Refresh recent folder shortcuts from the store
+async function refreshRecentFolders() {
+    try {
+        const settings = await window.electronAPI.getSettings();
+        renderRecentFolders(settings.recentFolders);
+        renderPausedRun(settings.pausedRun);
+        undoButton.classList.toggle('hidden', !settings.lastInPlaceRun);
+    } catch (error) {
+        console.error('Error loading recent folders:', error);
+    }
+}
+
+// Offer to resume a run that was paused when the app closed
+function renderPausedRun(run) {
+    pausedRun.classList.toggle('hidden', !run);
+    if (run) {
+        const left = run.remainingFiles ? `${run.remainingFiles.length} files left` : 'not started';
+        resumeRunButton.textContent = `▶ Resume paused run (${left})`;
+        resumeRunButton.title = run.inputPaths.join('\n');
+    }
+}
+
+// Show recent folders as one-click shortcuts in the drop zone
+function renderRecentFolders(folders) {
+    recentFolders.classList.toggle('hidden', !folders || folders.length === 0);
+    recentFolders.innerHTML = (folders || []).map(folder => {
+        const folderName = folder.split(/[\\/]/).filter(Boolean).pop() || folder;
+        return `<button class="recent-folder-btn" data-path="${escapeHtml(folder)}" title="${escapeHtml(folder)}">${escapeHtml(folderName)}</button>`;
+    }).join('');
+}
+
+// Show the output location rule in the settings view
+function renderOutputSettings() {
+    outputLocationSelect.value = outputSettings.location;
+    outputSuffixInput.value = outputSettings.suffix;
+    outputDirectoryRow.classList.toggle('hidden', outputSettings.location !== 'directory');
+    outputDirectoryButton.textContent = outputSettings.directory || 'Choose folder...';
+    outputDirectoryButton.title = outputSettings.directory || '';
+    inPlaceInput.checked = outputSettings.inPlace;
+    incrementalInput.checked = outputSettings.incremental;
+    incrementalInput.disabled = outputSettings.inPlace;
+    pruneDeletedInput.checked = outputSettings.pruneDeleted;
+    pruneDeletedInput.disabled = !outputSettings.incremental || outputSettings.inPlace;
+    // Output folder rules don't apply when the originals are replaced
+    outputLocationSelect.disabled = outputSettings.inPlace;
+    outputSuffixInput.disabled = outputSettings.inPlace;
+}
+
+// Show the target size mode and the limit that applies to it, and the quality guard
+// (which works the other way round, so it is off while a target size is set)
+function renderTargetSizeSettings() {
+    const targetSize = compressionSettings.targetSize;
+    targetSizeModeSelect.value = targetSize.mode;
+    targetSizeRow.classList.toggle('hidden', targetSize.mode === 'none');
+    targetSizeInput.value = targetSize.mode === 'budget' ? targetSize.budgetKB : targetSize.maxKB;
+    targetSizeInput.title = targetSize.mode === 'budget' ? 'Total KB for all images of the run' : 'Max KB per image';
+    targetMinQualityInput.value = targetSize.minQuality;
+    targetDownscaleInput.checked = targetSize.allowDownscale;
+    
+    const qualityGuard = compressionSettings.qualityGuard;
+    qualityGuardInput.checked = qualityGuard.enabled;
+    qualityGuardInput.disabled = targetSize.mode !== 'none';
+    qualityGuardScoreInput.value = qualityGuard.minScore;
+    qualityGuardScoreInput.disabled = !qualityGuard.enabled || targetSize.mode !== 'none';
+}
+
+// Show the resize rule and only the inputs that apply to it
+function renderResizeSettings() {
+    const resize = compressionSettings.resize;
+    const responsive = compressionSettings.responsive;
+    responsiveEnabledInput.checked = responsive.enabled;
+    responsiveWidthsInput.value = responsive.widths.join(', ');
+    responsiveWidthsInput.disabled = !responsive.enabled;
+    resizeModeSelect.disabled = responsive.enabled;
+    
+    resizeModeSelect.value = resize.mode;
+    resizeWidthInput.value = resize.maxWidth || '';
+    resizeHeightInput.value = resize.maxHeight || '';
+    resizeLongestEdgeInput.value = resize.longestEdge || '';
+    resizePercentInput.value = resize.percent || '';
+    resizeFitSelect.value = resize.fit;
+    resizeKernelSelect.value = resize.kernel;
+    resizeNoUpscaleInput.checked = resize.withoutEnlargement;
+    
+    resizeMaxRow.classList.toggle('hidden', resize.mode !== 'max');
+    resizeLongestRow.classList.toggle('hidden', resize.mode !== 'longest');
+    resizePercentRow.classList.toggle('hidden', resize.mode !== 'percent');
+    resizeFitRow.classList.toggle('hidden', resize.mode !== 'max');
+    resizeOptionsRow.classList.toggle('hidden', resize.mode === 'none');
+}
+
+// Read a pixel input - empty or invalid means "no limit"
+function readPixels(input) {
+    const value = Math.floor(Number(input.value));
+    return input.value !== '' && value > 0 ? value : null;
+}
+
+// Convert the stored resize rule into processor resize options (null = keep size)
+function getResizeRules() {
+    const resize = compressionSettings.resize;
+    const common = { fit: resize.fit, kernel: resize.kernel, withoutEnlargement: resize.withoutEnlargement };
+    
+    switch (resize.mode) {
+        case 'max':
+            return resize.maxWidth || resize.maxHeight
+                ? { ...common, maxWidth: resize.maxWidth, maxHeight: resize.maxHeight }
+                : null;
+        case 'longest':
+            return { ...common, longestEdge: resize.longestEdge };
+        case 'percent':
+            return { ...common, percent: resize.percent };
+        default:
+            return null;
+    }
+}
+
+// Target size option for the processor (null when off)
+function getTargetSizeRule() {
+    const targetSize = compressionSettings.targetSize;
+    if (targetSize.mode === 'none') {
+        return null;
+    }
+    return {
+        maxKB: targetSize.mode === 'image' ? targetSize.maxKB : null,
+        budgetKB: targetSize.mode === 'budget' ? targetSize.budgetKB : null,
+        minQuality: targetSize.minQuality,
+        // Downscaling and responsive widths both set the output size
+        allowDownscale: targetSize.allowDownscale && !compressionSettings.responsive.enabled
+    };
+}
+
+// Collect the options sent with compress-images
+function getCompressionOptions() {
+    return {
+        formats: getSelectedFormats(),
+        preset: compressionSettings.preset === 'custom'
+            ? { id: 'custom', settings: compressionSettings.customSettings }
+            : compressionSettings.preset,
+        collisionPolicy: compressionSettings.collisionPolicy,
+        concurrency: compressionSettings.concurrency,
+        growthPolicy: compressionSettings.growthPolicy,
+        flattenAnimations: compressionSettings.flattenAnimations,
+        metadataPolicy: compressionSettings.metadataPolicy,
+        targetSize: getTargetSizeRule(),
+        qualityGuard: compressionSettings.qualityGuard.enabled && compressionSettings.targetSize.mode === 'none'
+            ? { minScore: compressionSettings.qualityGuard.minScore, maxQuality: compressionSettings.qualityGuard.maxQuality }
+            : null,
+        resize: compressionSettings.responsive.enabled ? null : getResizeRules(),
+        responsiveWidths: compressionSettings.responsive.enabled ? compressionSettings.responsive.widths : null,
+        outputDirectory: outputSettings.location === 'directory' ? outputSettings.directory : null,
+        outputSuffix: outputSettings.suffix,
+        incremental: outputSettings.incremental && !outputSettings.inPlace,
+        pruneDeleted: outputSettings.incremental && !outputSettings.inPlace && outputSettings.pruneDeleted,
+        inPlace: outputSettings.inPlace,
+        scanFilters: getScanFilters()
+    };
+}
+
+// Start the run, or show the scan preview first when that's switched on
+function startOrPreview(inputPaths) {
+    if (previewFirstInput.checked) {
+        showScanPreview(inputPaths);
+    } else {
+        startCompression(inputPaths);
+    }
+}
+
+// Start compression process (inputPaths: folders and/or image files).
+// With resumePausedRun, the saved paused run continues with its own sources and settings.
+// excludePaths: files and folders deselected in the scan preview.
+async function startCompression(inputPaths, resumePausedRun = false, excludePaths = []) {
     if (isProcessing) return;
+    
+    const options = getCompressionOptions();
+    if (!resumePausedRun && options.formats.length === 0) {
+        showError('Select at least one output format.');
+        return;
+    }
+    if (excludePaths.length > 0) {
+        options.excludePaths = excludePaths;
+    }
 
     // Cleanup and re-setup progress listener
     window.electronAPI.removeAllListeners('compression-progress');
@@ -200,6 +1267,7 @@ async function startCompression(folderPath) {
     startTime = null;
     lastProgressUpdate = { current: 0, total: 0, rate: 0 };
     isCancelling = false;
+    isPaused = false;
 
     isProcessing = true;
     showProgressSection();
@@ -207,7 +1275,9 @@ async function startCompression(folderPath) {
     try {
         updateProgress(0, 0, 0, 'Initializing...');
         
-        const result = await window.electronAPI.compressImages(folderPath);
+        const result = resumePausedRun
+            ? await window.electronAPI.resumePausedRun()
+            : await window.electronAPI.compressImages(inputPaths, options);
         
         if (result.success) {
             if (result.cancelled) {
@@ -231,10 +1301,12 @@ async function startCompression(folderPath) {
     } finally {
         isProcessing = false;
         isCancelling = false;
+        isPaused = false;
         
-        // Reset cancel button
+        // Reset cancel and pause buttons
         cancelButton.textContent = 'Cancel';
         cancelButton.disabled = false;
+        pauseButton.textContent = 'Pause';
         
         // Clean up progress listener and timer
         window.electronAPI.removeAllListeners('compression-progress');
@@ -264,8 +1336,10 @@ function updateProgress(current, total, percent, currentFileName) {
         smoothedRate: lastProgressUpdate.smoothedRate || 0  // Preserve smoothed rate
     };
     
-    // Update UI elements immediately
-    currentFile.textContent = currentFileName || '--';
+    // Update UI elements immediately (the paused note stays while files in flight finish)
+    if (!isPaused) {
+        currentFile.textContent = currentFileName || '--';
+    }
     fileCounter.textContent = `${current}/${total}`;
     progressFill.style.width = percent + '%';
     progressPercent.textContent = Math.round(percent) + '%';
@@ -301,7 +1375,25 @@ function showSuccess(result) {
     // Build stats HTML with compression data if available
     let statsHTML = `
     <div><span class="result-label">Files processed:</span> <span class="result-value">${result.processedFiles || 0}</span></div>
-    <div><span class="result-label">Output folder:</span> <span class="result-value">${result.outputPath || 'N/A'}</span></div>`;
+    <div><span class="result-label">Output folder:</span> <span class="result-value">${result.outputPath ? escapeHtml(result.outputPath) : result.backupFolder ? 'In place (next to the originals)' : 'N/A'}</span></div>`;
+    
+    // In-place mode: where the replaced originals went
+    if (result.backupFolder) {
+        statsHTML += `
+    <div><span class="result-label">Originals backed up to:</span> <span class="result-value">${escapeHtml(result.backupFolder)}</span></div>`;
+    }
+    
+    // Responsive mode manifest for srcset markup
+    if (result.manifestPath) {
+        statsHTML += `
+    <div><span class="result-label">Manifest:</span> <span class="result-value">${escapeHtml(result.manifestPath)}</span></div>`;
+    }
+    
+    // Source roots of a mixed selection
+    if (result.sources && result.sources.length > 1) {
+        statsHTML += `
+    <div><span class="result-label">Sources:</span> <span class="result-value" title="${escapeHtml(result.sources.join('\n'))}">${result.sources.length} files/folders</span></div>`;
+    }
     
     // Add compression statistics if available
     if (result.compressionStats) {
@@ -311,11 +1403,523 @@ function showSuccess(result) {
         <div><span class="result-label">Original size:</span> <span class="result-value">${stats.originalSize}</span></div>
         <div><span class="result-label">Compressed size:</span> <span class="result-value">${stats.compressedSize}</span></div>
         <div><span class="result-label">Space saved:</span> <span class="result-value result-highlight">${stats.spaceSaved} (${stats.compressionPercent})</span></div>`;
+        
+        // Outputs that came out larger than their source (never-grow safeguard)
+        const growth = stats.growth || { retried: 0, copied: 0, dropped: 0 };
+        if (growth.retried + growth.copied + growth.dropped > 0) {
+            statsHTML += `
+        <div><span class="result-label">Larger than source:</span> <span class="result-value">${growth.retried} re-encoded smaller, ${growth.copied} original kept, ${growth.dropped} dropped</span></div>`;
+        }
+        
+        // Target-size mode: outputs that didn't fit even at the lowest quality
+        if (stats.targetMisses && stats.targetMisses.length > 0) {
+            const misses = stats.targetMisses.map(miss => `${miss.relativePath} (${miss.format}${miss.width ? ` ${miss.width}w` : ''}): ${miss.size} > ${miss.target}`);
+            statsHTML += `
+        <div><span class="result-label">Over target size:</span> <span class="result-value" title="${escapeHtml(misses.join('\n'))}">${stats.targetMisses.length} outputs</span></div>`;
+        }
+        
+        // Quality guard: outputs re-encoded higher, and those still below the threshold
+        if (stats.qualityChecks && stats.qualityChecks.checked > 0) {
+            const misses = stats.qualityMisses.map(miss => `${miss.relativePath} (${miss.format}${miss.width ? ` ${miss.width}w` : ''}): SSIM ${miss.ssim} at quality ${miss.quality}`);
+            statsHTML += `
+        <div><span class="result-label">Quality checked:</span> <span class="result-value" title="${escapeHtml(misses.join('\n'))}">${stats.qualityChecks.checked} outputs, ${stats.qualityChecks.raised} re-encoded higher${misses.length > 0 ? `, ${misses.length} below threshold` : ''}</span></div>`;
+        }
+        
+        // Per-format breakdown when more than one target format was written
+        if (stats.formats && stats.formats.length > 1) {
+            statsHTML += `<div class="stats-divider"></div>`;
+            stats.formats.forEach(format => {
+                statsHTML += `
+        <div><span class="result-label">${escapeHtml(getFormatLabel(format.format))}:</span> <span class="result-value">${format.compressedSize} (${format.compressionPercent} saved)</span></div>`;
+            });
+        }
+    }
+    
+    // Incremental mode: files left as they were, outputs of deleted sources removed
+    if (result.unchangedFiles > 0) {
+        statsHTML += `
+        <div><span class="result-label">Unchanged:</span> <span class="result-value">${result.unchangedFiles} (skipped)</span></div>`;
+    }
+    if (result.pruned && result.pruned.length > 0) {
+        statsHTML += `
+        <div><span class="result-label">Removed:</span> <span class="result-value" title="${escapeHtml(result.pruned.join('\n'))}">${result.pruned.length} (source deleted)</span></div>`;
+    }
+    
+    // Report files and folders the scan filters left out
+    if (result.filtered && result.filtered.length > 0) {
+        statsHTML += `
+        <div><span class="result-label">Filtered out:</span> <span class="result-value" title="${escapeHtml(result.filtered.map(entry => `${entry.relativePath} (${entry.reason})`).join('\n'))}">${describeFiltered(result.filtered)}</span></div>`;
+    }
+    
+    // Report files affected by output name collisions
+    if (result.collisions) {
+        const { renamed, skipped } = result.collisions;
+        if (renamed.length > 0) {
+            statsHTML += `
+        <div><span class="result-label">Renamed:</span> <span class="result-value" title="${escapeHtml(renamed.map(file => `${file.relativePath} (collides with ${file.collidesWith})`).join('\n'))}">${renamed.length} (name collision)</span></div>`;
+        }
+        if (skipped.length > 0) {
+            statsHTML += `
+        <div><span class="result-label">Skipped:</span> <span class="result-value" title="${escapeHtml(skipped.map(file => `${file.relativePath} (collides with ${file.collidesWith})`).join('\n'))}">${skipped.length} (name collision)</span></div>`;
+        }
     }
     
     statsHTML += `<div class="result-success">Compression completed successfully!</div>`;
     
     resultStats.innerHTML = statsHTML;
+    
+    lastResult = {
+        outputPath: result.outputPath,
+        backupFolder: result.backupFolder,
+        manifestPath: result.manifestPath,
+        sources: result.sources,
+        compressionStats: result.compressionStats,
+        fileDetails: result.fileDetails
+    };
+    reportStatus.textContent = '';
+    renderFileDetails(result.fileDetails);
+    
+    comparison.items = getComparisonItems(result.results);
+    compareButton.classList.toggle('hidden', comparison.items.length === 0);
+}
+
+// Render the job queue list (hidden while empty)
+function renderJobs() {
+    jobQueue.classList.toggle('hidden', jobs.length === 0);
+    jobList.innerHTML = jobs.map(job => {
+        const button = (action, label) => `<button data-action="${action}" data-job-id="${job.id}">${label}</button>`;
+        const actions = [];
+        if (job.status === 'queued' || job.status === 'running') {
+            actions.push(button('pause', 'Pause'));
+        }
+        if (job.status === 'paused') {
+            actions.push(button('resume', 'Resume'));
+        }
+        if (!['completed', 'failed', 'cancelled'].includes(job.status)) {
+            actions.push(button('cancel', 'Cancel'));
+        }
+        if (job.status === 'completed') {
+            actions.push(button('details', 'Details'));
+        }
+        if (job.status !== 'running') {
+            actions.push(button('remove', 'Remove'));
+        }
+        
+        const percent = job.status === 'completed' ? 100 : (job.progress ? job.progress.percent : 0);
+        let message = job.formats.map(getFormatLabel).join(', ') + (job.inPlace ? ' • in place' : '');
+        if (job.status === 'running' && job.progress) {
+            message = `${job.progress.current}/${job.progress.total} • ${job.progress.message || ''}`;
+        } else if (job.status === 'completed' && job.result) {
+            const stats = job.result.compressionStats;
+            message = `${job.result.processedFiles}/${job.result.totalFiles} files` +
+                (stats ? ` • saved ${stats.spaceSaved} (${stats.compressionPercent})` : '') +
+                ` • ${job.result.backupFolder ? 'backup in ' + job.result.backupFolder : job.result.outputPath}`;
+        } else if (job.error) {
+            message = job.error;
+        }
+        
+        return `
+        <li class="job-${job.status}" title="${escapeHtml(job.inputPaths.join('\n'))}">
+            <div class="job-title"><span>${escapeHtml(job.name)}</span><span class="job-status">${job.status}</span></div>
+            <div class="progress-bar"><div class="progress-fill" style="width: ${percent}%"></div></div>
+            <div class="job-message">${escapeHtml(message)}</div>
+            <div class="job-actions">${actions.join('')}</div>
+        </li>`;
+    }).join('');
+}
+
+// Render the per-file results table, failures included with their error
+function renderFileDetails(details) {
+    if (!details || details.length === 0) {
+        fileDetails.classList.add('hidden');
+        fileDetails.innerHTML = '';
+        return;
+    }
+    
+    const rows = details.map(file => {
+        const name = escapeHtml(file.relativePath || file.filename);
+        if (file.success) {
+            const animated = file.animated ? ` <span class="file-animated" title="${file.frames} frames">▶</span>` : '';
+            return `<tr><td class="file-name" title="${name}">${name}${animated}</td><td title="${formatDimensions(file.originalDimensions)}">${file.originalSize}</td><td title="${formatDimensions(file.dimensions)}">${file.compressedSize}</td><td>${file.ratio}</td></tr>`;
+        }
+        return `<tr class="${file.unchanged ? 'file-unchanged' : 'file-failed'}"><td class="file-name" title="${name}">${name}</td><td>${file.originalSize}</td><td colspan="2" title="${escapeHtml(file.error || '')}">${escapeHtml(file.error || file.compressedSize)}</td></tr>`;
+    }).join('');
+    
+    fileDetails.innerHTML = `<table><tr><th>File</th><th>Original</th><th>Compressed</th><th>Saved</th></tr>${rows}</table>`;
+    fileDetails.classList.remove('hidden');
+}
+
+// Source/output pairs of a run for the comparison viewer (files with at least one output)
+function getComparisonItems(results) {
+    return (results || [])
+        .filter(file => file.success || file.unchanged)
+        .map(file => ({
+            relativePath: file.relativePath,
+            // In-place runs moved the original into the backup folder
+            sourcePath: file.backupPath || file.sourcePath,
+            outputs: (file.outputs || [])
+                .filter(output => output.finalPath)
+                .map(output => ({ format: output.format, width: output.width, path: output.finalPath }))
+        }))
+        .filter(item => item.sourcePath && item.outputs.length > 0);
+}
+
+// Show the comparison viewer, starting at the first file
+function openComparison() {
+    if (comparison.items.length === 0) return;
+    
+    hideAllSections();
+    comparisonSection.classList.remove('hidden');
+    setComparisonMode(comparison.mode);
+    showComparisonItem(0);
+}
+
+// Back to the success screen as it was
+function closeComparison() {
+    comparison.loadIds.original++;
+    comparison.loadIds.compressed++;
+    comparisonSection.classList.add('hidden');
+    resultsSection.classList.remove('hidden');
+    successResult.classList.remove('hidden');
+}
+
+// Show one file of the list (wraps around at both ends)
+function showComparisonItem(index) {
+    const count = comparison.items.length;
+    comparison.index = (index + count) % count;
+    const item = comparison.items[comparison.index];
+    
+    comparisonCounter.textContent = `${comparison.index + 1} / ${count}`;
+    comparisonTitle.textContent = item.relativePath;
+    comparisonTitle.title = item.sourcePath;
+    comparisonPrevButton.disabled = count < 2;
+    comparisonNextButton.disabled = count < 2;
+    comparisonOutputSelect.innerHTML = item.outputs.map((output, outputIndex) =>
+        `<option value="${outputIndex}">${escapeHtml(getFormatLabel(output.format))}${output.width ? ` ${output.width}w` : ''}</option>`).join('');
+    comparisonOutputSelect.classList.toggle('hidden', item.outputs.length < 2);
+    
+    loadComparisonImage('original', item.sourcePath, true);
+    showComparisonOutput(0);
+}
+
+// Show another output (format or responsive width) of the current file
+function showComparisonOutput(outputIndex) {
+    const item = comparison.items[comparison.index];
+    if (outputIndex < 0 || outputIndex >= item.outputs.length) return;
+    
+    comparison.outputIndex = outputIndex;
+    comparisonOutputSelect.value = String(outputIndex);
+    loadComparisonImage('compressed', item.outputs[outputIndex].path, false);
+}
+
+// Load one side through the main process (formats the page can't show arrive as PNG)
+async function loadComparisonImage(side, filePath, fitWhenLoaded) {
+    const loadId = ++comparison.loadIds[side];
+    const isCurrent = () => loadId === comparison.loadIds[side];
+    const image = side === 'original' ? comparisonOriginalImage : comparisonCompressedImage;
+    comparison[side] = null;
+    comparison.errors[side] = null;
+    image.removeAttribute('src');
+    renderComparisonInfo();
+    
+    try {
+        const result = await window.electronAPI.getComparisonPreview(filePath);
+        if (!isCurrent()) return;
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        await new Promise((resolve, reject) => {
+            image.onload = resolve;
+            image.onerror = () => reject(new Error('The image could not be displayed'));
+            image.src = result.preview.dataUrl;
+        });
+        if (!isCurrent()) return;
+        
+        comparison[side] = result.preview;
+        if (fitWhenLoaded) {
+            fitComparison();
+        } else {
+            applyComparisonView();
+        }
+    } catch (error) {
+        if (!isCurrent()) return;
+        comparison.errors[side] = error.message;
+    }
+    renderComparisonInfo();
+}
+
+// Slider (one view, split) or side by side (two views)
+function setComparisonMode(mode) {
+    comparison.mode = mode;
+    comparisonViewport.classList.toggle('side-by-side', mode === 'side-by-side');
+    comparisonSection.classList.toggle('side-by-side', mode === 'side-by-side');
+    comparisonModeButton.textContent = mode === 'slider' ? 'Side by side' : 'Slider';
+    comparisonSplitInput.value = comparison.split;
+    fitComparison();
+}
+
+// Scale the original to fit a pane and center it
+function fitComparison() {
+    const pane = comparisonCompressedPane.getBoundingClientRect();
+    const original = comparison.original;
+    if (!original || pane.width === 0) {
+        applyComparisonView();
+        return;
+    }
+    
+    const scale = Math.min(pane.width / original.width, pane.height / original.height, 1);
+    comparison.view = {
+        scale: scale,
+        x: (pane.width - original.width * scale) / 2,
+        y: (pane.height - original.height * scale) / 2
+    };
+    applyComparisonView();
+}
+
+// Zoom by a factor, keeping the pane point (default: center) where it is
+function zoomComparison(factor, pointX, pointY) {
+    const pane = comparisonCompressedPane.getBoundingClientRect();
+    const view = comparison.view;
+    const x = pointX === undefined ? pane.width / 2 : pointX;
+    const y = pointY === undefined ? pane.height / 2 : pointY;
+    const scale = Math.min(32, Math.max(0.05, view.scale * factor));
+    
+    comparison.view = {
+        scale: scale,
+        x: x - (x - view.x) * scale / view.scale,
+        y: y - (y - view.y) * scale / view.scale
+    };
+    applyComparisonView();
+}
+
+// Apply zoom, pan and split. Both images cover the original's box, so a downscaled
+// output is stretched over the same area and every pixel lines up.
+function applyComparisonView() {
+    const { scale, x, y } = comparison.view;
+    const original = comparison.original;
+    
+    [comparisonOriginalImage, comparisonCompressedImage].forEach(image => {
+        if (original) {
+            image.style.width = `${original.width}px`;
+            image.style.height = `${original.height}px`;
+        }
+        image.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
+    });
+    
+    const isSlider = comparison.mode === 'slider';
+    comparisonCompressedPane.style.clipPath = isSlider ? `inset(0 0 0 ${comparison.split}%)` : '';
+    comparisonDivider.style.left = `${comparison.split}%`;
+    comparisonViewport.classList.toggle('pixelated', scale >= 2);
+    comparisonZoom.textContent = `${Math.round(scale * 100)}%`;
+}
+
+// Size, dimensions and savings under the viewer, loading state and errors over it
+function renderComparisonInfo() {
+    const item = comparison.items[comparison.index];
+    const { original, compressed, errors } = comparison;
+    
+    if (errors.original || errors.compressed) {
+        comparisonStatus.textContent = errors.original ? `Original: ${errors.original}` : `Compressed: ${errors.compressed}`;
+    } else {
+        comparisonStatus.textContent = original && compressed ? '' : 'Loading...';
+    }
+
+    const describe = (preview) => `${formatFileSize(preview.size)} • ${preview.width}x${preview.height}`;
+    
+    comparisonOriginalInfo.textContent = original
+        ? `Original: ${describe(original)} • ${original.format.toUpperCase()}${original.converted ? ' (shown as PNG)' : ''}`
+        : 'Original: ...';
+    
+    if (!compressed) {
+        comparisonCompressedInfo.textContent = `${getFormatLabel(item.outputs[comparison.outputIndex].format)}: ...`;
+        return;
+    }
+    const saved = original && original.size > 0 ? ` • ${((1 - compressed.size / original.size) * 100).toFixed(1)}% saved` : '';
+    comparisonCompressedInfo.textContent = `${getFormatLabel(item.outputs[comparison.outputIndex].format)}: ${describe(compressed)}${saved}`;
+}
+
+// Scan the selection with the current settings and show what the run would do
+async function showScanPreview(inputPaths) {
+    if (isProcessing || scanPreview.isScanning) return;
+    
+    const options = getCompressionOptions();
+    if (options.formats.length === 0) {
+        showError('Select at least one output format.');
+        return;
+    }
+    
+    scanPreview = { isScanning: true, preview: null, excluded: new Set(), entries: new Map() };
+    hideAllSections();
+    scanPreviewSection.classList.remove('hidden');
+    scanPreviewSummary.classList.add('hidden');
+    scanPreviewLists.innerHTML = '';
+    scanPreviewStartButton.classList.add('hidden');
+    scanPreviewCancelButton.disabled = false;
+    scanPreviewStatus.textContent = 'Starting...';
+    
+    window.electronAPI.removeAllListeners('scan-preview-progress');
+    window.electronAPI.onScanPreviewProgress((message) => {
+        scanPreviewStatus.textContent = message;
+    });
+    
+    try {
+        const result = await window.electronAPI.scanPreview(inputPaths, options);
+        if (result.cancelled) {
+            resetToInitialState();
+        } else if (!result.success) {
+            showError(result.error || 'Scan preview failed');
+        } else if (result.preview.totalFiles === 0 && result.preview.filtered.length === 0) {
+            showError('No images found in the selection.');
+        } else {
+            scanPreview.preview = result.preview;
+            renderScanPreview();
+        }
+    } catch (error) {
+        showError('Scan preview failed: ' + error.message);
+    } finally {
+        scanPreview.isScanning = false;
+        scanPreviewCancelButton.disabled = false;
+        window.electronAPI.removeAllListeners('scan-preview-progress');
+    }
+}
+
+// Render the lists of a finished scan - folders and files can be deselected
+function renderScanPreview() {
+    const preview = scanPreview.preview;
+    scanPreview.entries = new Map();
+    
+    const row = (entry, count) => {
+        scanPreview.entries.set(entry.fullPath, { count: count, size: entry.size });
+        const name = escapeHtml(entry.relativePath);
+        return `<tr data-path="${escapeHtml(entry.fullPath)}"><td><input type="checkbox" data-path="${escapeHtml(entry.fullPath)}" checked></td><td class="file-name" title="${name}">${name}</td><td>${count === 1 ? '' : `${count} files`}</td><td>${formatFileSize(entry.size)}</td></tr>`;
+    };
+    const list = (title, rows, open = false) => rows.length === 0 ? '' : `
+        <details${open ? ' open' : ''}>
+            <summary>${title}</summary>
+            <div class="file-details"><table>${rows.join('')}</table></div>
+        </details>`;
+    
+    scanPreviewLists.innerHTML =
+        list(`Subfolders (${preview.folders.length})`, preview.folders.map(folder => row(folder, folder.count)), true) +
+        list(`Largest files (${preview.largestFiles.length})`, preview.largestFiles.map(file => row(file, 1))) +
+        list(`Names to sanitize (${preview.needsSanitizing.length})`, preview.needsSanitizing.map(file => row(file, 1))) +
+        list(`Filtered out (${preview.filtered.length})`, preview.filtered.map(entry => {
+            const name = escapeHtml(entry.relativePath + (entry.isFolder ? '/' : ''));
+            return `<tr class="file-unchanged"><td class="file-name" title="${name}">${name}</td><td>${escapeHtml(entry.reason)}</td></tr>`;
+        }));
+    
+    scanPreviewStatus.textContent = preview.sources.length === 1 ? preview.sources[0] : `${preview.sources.length} files/folders`;
+    scanPreviewStartButton.classList.remove('hidden');
+    updateScanPreviewSelection();
+}
+
+// Sync the checkboxes with the deselected paths and recount the totals.
+// Entries inside a deselected folder are left out with it and can't be picked on their own.
+function updateScanPreviewSelection() {
+    scanPreviewLists.querySelectorAll('tr[data-path]').forEach(tableRow => {
+        const scanPath = tableRow.dataset.path;
+        const input = tableRow.querySelector('input');
+        const isInside = isInsideExcludedFolder(scanPath);
+        input.checked = !scanPreview.excluded.has(scanPath) && !isInside;
+        input.disabled = isInside;
+        tableRow.classList.toggle('excluded', !input.checked);
+    });
+    renderScanPreviewSummary();
+}
+
+// Whether a path lies inside a deselected folder
+function isInsideExcludedFolder(scanPath) {
+    return [...scanPreview.excluded].some(excludedPath =>
+        scanPath.startsWith(excludedPath + '/') || scanPath.startsWith(excludedPath + '\\'));
+}
+
+// Totals of the selection and the estimate scaled to them
+function renderScanPreviewSummary() {
+    const preview = scanPreview.preview;
+    let fileCount = preview.totalFiles;
+    let totalSize = preview.totalSize;
+    for (const excludedPath of scanPreview.excluded) {
+        const entry = scanPreview.entries.get(excludedPath);
+        if (entry && !isInsideExcludedFolder(excludedPath)) { // Nested entries count with their folder
+            fileCount -= entry.count;
+            totalSize -= entry.size;
+        }
+    }
+    fileCount = Math.max(0, fileCount);
+    totalSize = Math.max(0, totalSize);
+    
+    const deselected = fileCount < preview.totalFiles ? ` of ${preview.totalFiles}` : '';
+    const formats = preview.formats.map(format => `${format.extension} ${format.count}`).join(', ');
+    let html = `
+    <div><span class="result-label">Files:</span> <span class="result-value">${fileCount}${deselected} (${formatFileSize(totalSize)})</span></div>
+    <div><span class="result-label">Formats:</span> <span class="result-value" title="${escapeHtml(preview.formats.map(format => `${format.extension}: ${format.count} files, ${formatFileSize(format.size)}`).join('\n'))}">${escapeHtml(formats)}</span></div>`;
+    
+    const estimate = preview.estimate;
+    if (estimate) {
+        for (const format of estimate.formats) {
+            const outputSize = Math.round(totalSize * format.ratio);
+            html += `
+    <div><span class="result-label">Estimated ${escapeHtml(getFormatLabel(format.format))}:</span> <span class="result-value">${formatFileSize(outputSize)} (${((1 - format.ratio) * 100).toFixed(1)}% saved)</span></div>`;
+        }
+        const seconds = preview.totalSize > 0 ? Math.round(estimate.seconds * totalSize / preview.totalSize) : 0;
+        const failed = estimate.failedSamples.length > 0 ? `, ${estimate.failedSamples.length} failed` : '';
+        html += `
+    <div><span class="result-label">Estimated time:</span> <span class="result-value" title="From ${estimate.sampleFiles} sample files${failed}">~${seconds < 60 ? `${seconds}s` : `${Math.ceil(seconds / 60)} min`}</span></div>`;
+    } else {
+        html += `
+    <div><span class="result-label">Estimate:</span> <span class="result-value">not available (no sample could be encoded)</span></div>`;
+    }
+    
+    if (preview.filtered.length > 0) {
+        html += `
+    <div><span class="result-label">Filtered out:</span> <span class="result-value">${describeFiltered(preview.filtered)}</span></div>`;
+    }
+    if (preview.needsSanitizing.length > 0) {
+        html += `
+    <div><span class="result-label">Names to sanitize:</span> <span class="result-value">${preview.needsSanitizing.length}</span></div>`;
+    }
+    const { renamed, skipped } = preview.collisions;
+    if (renamed.length > 0) {
+        html += `
+    <div><span class="result-label">Renamed:</span> <span class="result-value" title="${escapeHtml(renamed.map(file => `${file.relativePath} (collides with ${file.collidesWith})`).join('\n'))}">${renamed.length} (name collision)</span></div>`;
+    }
+    if (skipped.length > 0) {
+        html += `
+    <div><span class="result-label">Skipped:</span> <span class="result-value" title="${escapeHtml(skipped.map(file => `${file.relativePath} (collides with ${file.collidesWith})`).join('\n'))}">${skipped.length} (name collision)</span></div>`;
+    }
+    
+    scanPreviewSummary.innerHTML = html;
+    scanPreviewSummary.classList.remove('hidden');
+    scanPreviewStartButton.disabled = fileCount === 0;
+}
+
+// "3 files, 2 folders" left out by the scan filters
+function describeFiltered(filtered) {
+    const folders = filtered.filter(entry => entry.isFolder).length;
+    const files = filtered.length - folders;
+    return [files > 0 ? `${files} files` : '', folders > 0 ? `${folders} folders` : ''].filter(Boolean).join(', ');
+}
+
+// Bytes as B/KB/MB (same steps as the main process)
+function formatFileSize(bytes) {
+    if (bytes === 0) return '0 B';
+    const sizes = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.min(sizes.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+    return `${parseFloat((bytes / Math.pow(1024, i)).toFixed(2))} ${sizes[i]}`;
+}
+
+// Pixel dimensions for table tooltips (1920x1080)
+function formatDimensions(dimensions) {
+    return dimensions ? `${dimensions.width}x${dimensions.height}` : '';
+}
+
+// Escape text for safe insertion into HTML (file names can contain anything)
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
 }
 
 // Show error result
@@ -346,8 +1950,12 @@ function showProgressSection() {
 // Hide all sections
 function hideAllSections() {
     dropZone.classList.add('hidden');
+    settingsSection.classList.add('hidden');
+    watchSection.classList.add('hidden');
     progressSection.classList.add('hidden');
     resultsSection.classList.add('hidden');
+    comparisonSection.classList.add('hidden');
+    scanPreviewSection.classList.add('hidden');
     successResult.classList.add('hidden');
     errorResult.classList.add('hidden');
 }
@@ -356,12 +1964,14 @@ function hideAllSections() {
 function resetToInitialState() {
     isProcessing = false;
     isCancelling = false;
-    selectedFolderPath = null;
+    isPaused = false;
+    selectedPaths = [];
     
 
-    // Reset cancel button
+    // Reset cancel and pause buttons
     cancelButton.textContent = 'Cancel';
     cancelButton.disabled = false;
+    pauseButton.textContent = 'Pause';
     
     // Cleanup timer
     if (timerInterval) {
@@ -372,6 +1982,7 @@ function resetToInitialState() {
     
     hideAllSections();
     dropZone.classList.remove('hidden');
+    refreshRecentFolders();
 }
 
 // Setup progress listener
@@ -386,7 +1997,41 @@ window.electronAPI.onCompressionProgress((progressData) => {
     }
 });
 
+// Job queue updates - replace the job in the list (or add it)
+window.electronAPI.onJobUpdate((job) => {
+    const index = jobs.findIndex(other => other.id === job.id);
+    if (index === -1) {
+        jobs.push(job);
+    } else {
+        jobs[index] = job;
+    }
+    renderJobs();
+    if (job.status === 'completed' && job.inPlace) {
+        refreshRecentFolders(); // Shows "Undo last in-place run"
+    }
+});
+
+// Watch mode activity log (newest first)
+window.electronAPI.onWatchActivity((entry) => {
+    const time = new Date(entry.time).toLocaleTimeString();
+    const item = document.createElement('li');
+    item.className = `watch-${entry.type}`;
+    item.innerHTML = `<span class="watch-time">${escapeHtml(time)}</span>${escapeHtml(entry.message)}`;
+    if (entry.path) {
+        item.title = entry.path;
+    }
+    
+    watchLog.prepend(item);
+    while (watchLog.children.length > MAX_WATCH_LOG_ENTRIES) {
+        watchLog.lastElementChild.remove();
+    }
+});
+
 // Initialize app
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    await loadSettings();
+    loadPresets();
+    jobs = await window.electronAPI.getJobs();
+    renderJobs();
     console.log('Elektron Fast Image Kompressor ready!');
 });
\ No newline at end of file
@@ -0,0 +1,213 @@
+/*
+ * reportExporter.js - Processing Report Export
+ *
+ * Handles:
+ * - Building a report from a finished compression run
+ * - CSV export (one row per file, spreadsheet friendly)
+ * - JSON export (full machine-readable report)
+ * - Standalone HTML summary (no external assets, attachable to tickets)
+ * - Target-size mode: chosen quality per output, files that missed the target
+ * - Quality guard: SSIM score per output, files below the threshold
+ */
+
+const fs = require('fs').promises;
+
+const REPORT_FORMATS = {
+    csv: { extension: 'csv', label: 'CSV' },
+    json: { extension: 'json', label: 'JSON' },
+    html: { extension: 'html', label: 'HTML' }
+};
+
+class ReportExporter {
+    // Build a report object from a compression result
+    buildReport(result) {
+        return {
+            generatedAt: new Date().toISOString(),
+            outputPath: result.outputPath || null, // null for in-place runs
+            backupFolder: result.backupFolder || null, // In-place runs: where the originals went
+            manifestPath: result.manifestPath || null,
+            sources: result.sources || [],
+            summary: result.compressionStats || null,
+            files: result.fileDetails || []
+        };
+    }
+
+    // Serialize a report in the requested format
+    serialize(report, format) {
+        switch (format) {
+            case 'csv':
+                return this.toCSV(report);
+            case 'json':
+                return this.toJSON(report);
+            case 'html':
+                return this.toHTML(report);
+            default:
+                throw new Error(`Unknown report format: ${format}`);
+        }
+    }
+
+    // Write a report to disk
+    async exportReport(report, format, filePath) {
+        const content = this.serialize(report, format);
+        await fs.writeFile(filePath, content, 'utf8');
+        console.log(`Report exported (${format}): ${filePath}`);
+        return filePath;
+    }
+
+    // One row per file, raw byte counts so spreadsheets can sum them
+    toCSV(report) {
+        const header = ['file', 'status', 'original_bytes', 'compressed_bytes', 'savings_bytes', 'savings_percent', 'original_dimensions', 'output_dimensions', 'formats', 'animated', 'quality', 'target_met', 'ssim', 'error'];
+        const rows = report.files.map(file => [
+            file.relativePath || file.filename,
+            this.getStatus(file),
+            file.originalBytes,
+            file.compressedBytes,
+            file.savingsBytes,
+            file.success ? file.ratio : '',
+            this.formatDimensions(file.originalDimensions),
+            this.formatDimensions(file.dimensions),
+            (file.formats || []).map(output => `${output.format}${output.width ? `@${output.width}w` : ''}:${output.bytes}`).join(';'),
+            file.animated ? file.frames : '',
+            this.describeQuality(file),
+            this.getTargetStatus(file),
+            this.describeScores(file),
+            file.success ? '' : file.error || ''
+        ]);
+
+        return [header, ...rows]
+            .map(row => row.map(value => this.escapeCSV(value)).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    toJSON(report) {
+        return JSON.stringify(report, null, 2) + '\n';
+    }
+
+    // Self-contained HTML page with inline styles
+    toHTML(report) {
+        const summary = report.summary;
+        const summaryRows = summary
+            ? [
+                ['Files processed', summary.filesProcessed],
+                ['Original size', summary.originalSize],
+                ['Compressed size', summary.compressedSize],
+                ['Space saved', `${summary.spaceSaved} (${summary.compressionPercent})`]
+            ]
+            : [];
+        if (summary && summary.targetMisses && summary.targetMisses.length > 0) {
+            summaryRows.push(['Over target size', summary.targetMisses
+                .map(miss => `${miss.relativePath} (${miss.format}: ${miss.size} > ${miss.target})`).join(', ')]);
+        }
+        if (summary && summary.qualityMisses && summary.qualityMisses.length > 0) {
+            summaryRows.push(['Below quality threshold', summary.qualityMisses
+                .map(miss => `${miss.relativePath} (${miss.format}: SSIM ${miss.ssim} at quality ${miss.quality})`).join(', ')]);
+        }
+
+        const fileRows = report.files.map(file => `
+            <tr class="${file.success ? (this.isMissed(file) ? 'missed' : '') : 'failed'}">
+                <td>${this.escapeHTML(file.relativePath || file.filename)}${file.animated ? ` <em>(animated, ${file.frames} frames)</em>` : ''}</td>
+                <td>${this.getStatus(file)}</td>
+                <td>${this.escapeHTML(file.originalSize)}</td>
+                <td>${this.escapeHTML(file.compressedSize)}</td>
+                <td>${this.escapeHTML(this.describeDimensions(file))}</td>
+                <td>${this.escapeHTML([this.describeQuality(file), this.describeScores(file)].filter(Boolean).join(' / SSIM '))}</td>
+                <td>${file.success ? this.escapeHTML(`${file.savings} (${file.ratio})`) : ''}</td>
+                <td>${file.success ? '' : this.escapeHTML(file.error || '')}</td>
+            </tr>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Compression report - ${this.escapeHTML(report.generatedAt)}</title>
+<style>
+    body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; margin: 2rem; color: #222; }
+    h1 { font-size: 1.4rem; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; font-size: 0.9rem; }
+    th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; }
+    th { background: #f3f3f3; }
+    tr.failed td { background: #fff0f0; }
+    tr.missed td { background: #fff8e0; }
+    .meta { color: #666; font-size: 0.85rem; }
+</style>
+</head>
+<body>
+<h1>Image compression report</h1>
+<p class="meta">Generated ${this.escapeHTML(report.generatedAt)}<br>
+Output: ${this.escapeHTML(report.outputPath || (report.backupFolder ? 'in place' : 'N/A'))}<br>
+${report.backupFolder ? `Originals backed up to: ${this.escapeHTML(report.backupFolder)}<br>
+` : ''}Sources: ${report.sources.map(source => this.escapeHTML(source)).join(', ')}</p>
+<table>
+${summaryRows.map(([label, value]) => `    <tr><th>${label}</th><td>${this.escapeHTML(value)}</td></tr>`).join('\n')}
+</table>
+<table>
+    <tr><th>File</th><th>Status</th><th>Original</th><th>Compressed</th><th>Dimensions</th><th>Quality</th><th>Saved</th><th>Error</th></tr>${fileRows}
+</table>
+</body>
+</html>
+`;
+    }
+
+    getStatus(file) {
+        if (file.success) return 'ok';
+        if (file.unchanged) return 'unchanged';
+        return file.skipped ? 'skipped' : 'failed';
+    }
+
+    // "6000x4000 -> 1920x1280" for resized files, a single size otherwise
+    describeDimensions(file) {
+        const original = this.formatDimensions(file.originalDimensions);
+        const output = this.formatDimensions(file.dimensions);
+        return output && output !== original ? `${original} -> ${output}` : original;
+    }
+
+    // Target-size mode or quality guard: quality chosen per output ("webp:72;jpeg:64@85%"), empty otherwise
+    describeQuality(file) {
+        return (file.formats || [])
+            .filter(output => output.targetMet !== undefined || output.ssim !== undefined)
+            .map(output => `${output.format}:${output.quality === null ? 'lossless' : output.quality}${output.scale ? `@${Math.round(output.scale * 100)}%` : ''}`)
+            .join(';');
+    }
+
+    // 'yes' when every output fits its target size, 'no' when one doesn't, empty outside target-size mode
+    getTargetStatus(file) {
+        const targeted = (file.formats || []).filter(output => output.targetMet !== undefined);
+        if (targeted.length === 0) return '';
+        return targeted.every(output => output.targetMet) ? 'yes' : 'no';
+    }
+
+    // Quality guard: SSIM per output ("webp:0.9731;jpeg:0.9684"), empty otherwise
+    describeScores(file) {
+        return (file.formats || [])
+            .filter(output => output.ssim !== undefined)
+            .map(output => `${output.format}:${output.ssim}`)
+            .join(';');
+    }
+
+    // Highlighted in the HTML report: over the target size or below the quality threshold
+    isMissed(file) {
+        return this.getTargetStatus(file) === 'no' || (file.formats || []).some(output => output.qualityPassed === false);
+    }
+
+    // 1920x1080, empty when unknown
+    formatDimensions(dimensions) {
+        return dimensions ? `${dimensions.width}x${dimensions.height}` : '';
+    }
+
+    escapeCSV(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    escapeHTML(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+ReportExporter.REPORT_FORMATS = REPORT_FORMATS;
+
+module.exports = ReportExporter;
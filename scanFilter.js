@@ -0,0 +1,181 @@
+/*
+ * scanFilter.js - Folder Scan Filters
+ *
+ * Handles:
+ * - Include/exclude glob patterns (*, **, ?, [abc], {a,b}) on paths inside a scanned folder
+ * - Maximum subfolder depth and skipping hidden files and folders (name starting with a dot)
+ * - Minimum/maximum file size and pixel dimension thresholds
+ * - The reason each file or folder was left out, for the pre-run summary
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+
+const DEFAULT_OPTIONS = {
+    include: [], // Only files matching one of these (empty = every supported file)
+    exclude: [], // Files and folders matching any of these are left out (node_modules, **/thumbs)
+    maxDepth: null, // Subfolder levels scanned below the selected folder (0 = top level only, null = all)
+    skipHidden: false, // Leave out files and folders whose name starts with a dot
+    minFileSizeKB: null,
+    maxFileSizeKB: null,
+    minDimension: null, // Shorter side in pixels - leaves out icons and thumbnails
+    maxDimension: null // Longer side in pixels
+};
+
+class ScanFilter {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.includePatterns = this.options.include.map(pattern => ScanFilter.compile(pattern));
+        this.excludePatterns = this.options.exclude.map(pattern => ScanFilter.compile(pattern));
+    }
+
+    // Reason to skip a subfolder and everything inside it, or null to scan it.
+    // relativePath is relative to the scanned folder, depth 1 is a direct subfolder.
+    checkFolder(relativePath, depth) {
+        const reason = this.checkName(relativePath);
+        if (reason) {
+            return reason;
+        }
+        if (this.options.maxDepth !== null && depth > this.options.maxDepth) {
+            return `Deeper than ${this.options.maxDepth} folder levels`;
+        }
+        return null;
+    }
+
+    // Reason to leave out a file found in a folder scan, or null to keep it
+    checkFile(relativePath) {
+        const reason = this.checkName(relativePath);
+        if (reason) {
+            return reason;
+        }
+        if (this.includePatterns.length > 0 && !this.includePatterns.some(pattern => ScanFilter.matches(pattern, relativePath))) {
+            return 'Not matched by the include patterns';
+        }
+        return null;
+    }
+
+    // A file reported on its own (watch mode) rather than found by a folder scan:
+    // checkFolder for each folder on the way down to it, then checkFile
+    checkPath(relativePath) {
+        const folders = path.dirname(relativePath).split(path.sep).filter(part => part !== '.');
+        for (let depth = 1; depth <= folders.length; depth++) {
+            const reason = this.checkFolder(folders.slice(0, depth).join(path.sep), depth);
+            if (reason) {
+                return reason;
+            }
+        }
+        return this.checkFile(relativePath);
+    }
+
+    // Hidden names and exclude patterns apply to files and folders alike
+    checkName(relativePath) {
+        if (this.options.skipHidden && path.basename(relativePath).startsWith('.')) {
+            return 'Hidden';
+        }
+        const pattern = this.excludePatterns.find(excludePattern => ScanFilter.matches(excludePattern, relativePath));
+        return pattern ? `Excluded by ${pattern.pattern}` : null;
+    }
+
+    // Whether checkThresholds has anything to check (it reads every file)
+    hasThresholds() {
+        const { minFileSizeKB, maxFileSizeKB, minDimension, maxDimension } = this.options;
+        return [minFileSizeKB, maxFileSizeKB, minDimension, maxDimension].some(value => value !== null);
+    }
+
+    // Reason a file is too small or too large (bytes or pixels), or null to keep it.
+    // Files that can't be read are kept - the run reports their error.
+    async checkThresholds(fullPath) {
+        const { minFileSizeKB, maxFileSizeKB, minDimension, maxDimension } = this.options;
+
+        if (minFileSizeKB !== null || maxFileSizeKB !== null) {
+            let size;
+            try {
+                size = (await fs.stat(fullPath)).size;
+            } catch {
+                return null;
+            }
+            if (minFileSizeKB !== null && size < minFileSizeKB * 1024) {
+                return `Smaller than ${minFileSizeKB} KB`;
+            }
+            if (maxFileSizeKB !== null && size > maxFileSizeKB * 1024) {
+                return `Larger than ${maxFileSizeKB} KB`;
+            }
+        }
+
+        if (minDimension !== null || maxDimension !== null) {
+            let metadata;
+            try {
+                metadata = await sharp(fullPath).metadata();
+            } catch {
+                return null;
+            }
+            // Animated images: the size of one frame
+            const width = metadata.width;
+            const height = metadata.pageHeight || metadata.height;
+            if (minDimension !== null && Math.min(width, height) < minDimension) {
+                return `Smaller than ${minDimension} px (${width}x${height})`;
+            }
+            if (maxDimension !== null && Math.max(width, height) > maxDimension) {
+                return `Larger than ${maxDimension} px (${width}x${height})`;
+            }
+        }
+
+        return null;
+    }
+
+    // Compile a glob pattern. Without a slash it matches names at any depth (like .gitignore),
+    // with one the whole path relative to the scanned folder. Case-insensitive.
+    static compile(pattern) {
+        const glob = pattern.trim().replace(/\\/g, '/').replace(/^\.?\//, '').replace(/\/+$/, '');
+        const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        let source = '';
+
+        for (let i = 0; i < glob.length; i++) {
+            const char = glob[i];
+            if (char === '*' && glob[i + 1] === '*') {
+                // ** spans folders; **/ also matches no folder at all
+                i++;
+                if (glob[i + 1] === '/') {
+                    i++;
+                    source += '(?:.*/)?';
+                } else {
+                    source += '.*';
+                }
+            } else if (char === '*') {
+                source += '[^/]*';
+            } else if (char === '?') {
+                source += '[^/]';
+            } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+                const end = glob.indexOf(']', i + 2);
+                const set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+                source += `[${set.startsWith('!') ? '^' + set.slice(1) : set}]`;
+                i = end;
+            } else if (char === '{' && glob.indexOf('}', i) !== -1) {
+                const end = glob.indexOf('}', i);
+                source += `(?:${glob.slice(i + 1, end).split(',').map(escape).join('|')})`;
+                i = end;
+            } else {
+                source += escape(char);
+            }
+        }
+
+        return {
+            pattern: pattern,
+            matchesName: !glob.includes('/'),
+            regex: new RegExp(`^${source}$`, 'i')
+        };
+    }
+
+    // Test a compiled pattern against a path relative to the scanned folder
+    static matches(compiled, relativePath) {
+        const subject = compiled.matchesName
+            ? path.basename(relativePath)
+            : relativePath.split(path.sep).join('/');
+        return compiled.regex.test(subject);
+    }
+}
+
+ScanFilter.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = ScanFilter;
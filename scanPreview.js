@@ -0,0 +1,208 @@
+/*
+ * scanPreview.js - Pre-Flight Scan Preview (Dry Run)
+ *
+ * Handles:
+ * - Scanning a selection with the run's settings without writing anything
+ * - File counts and sizes per source format and per subfolder, the largest files
+ * - Files that will need sanitizing or hit an output name collision
+ * - Files and folders left out by the scan filters, with the reason
+ * - Estimated output size and duration from a small sample encoded in memory
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+
+const DEFAULT_OPTIONS = {
+    sampleSize: 8, // Files encoded for the estimate
+    largestCount: 20, // Largest files listed
+    folderCount: 200 // Subfolders listed (largest first)
+};
+
+class ScanPreview {
+    // processor: an ImageProcessor with the run's options (formats, resize, excluded paths...)
+    constructor(processor, options = {}) {
+        this.processor = processor;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    // Scan the selection and estimate the run. progressCallback(message) reports the steps.
+    async run(inputPaths, progressCallback = null) {
+        const report = (message) => progressCallback && progressCallback(message);
+        inputPaths = [].concat(inputPaths).map(inputPath => path.resolve(inputPath));
+
+        report('Scanning for images...');
+        const workList = await this.processor.buildWorkList(inputPaths);
+        const collisions = this.processor.planOutputNames(workList);
+
+        report(`Measuring ${workList.length} files...`);
+        for (const file of workList) {
+            this.checkCancelled();
+            try {
+                file.size = (await fs.stat(file.fullPath)).size;
+            } catch {
+                file.size = 0; // Gone since the scan - the run will report it
+            }
+        }
+
+        const included = workList.filter(file => !file.skipReason);
+        const totalSize = included.reduce((total, file) => total + file.size, 0);
+        const describeFile = (file) => ({
+            relativePath: file.relativePath,
+            fullPath: file.fullPath,
+            size: file.size
+        });
+
+        const estimate = await this.estimate(included, totalSize, report);
+
+        return {
+            sources: inputPaths,
+            totalFiles: workList.length,
+            totalSize: totalSize,
+            formats: this.groupByFormat(workList),
+            folders: this.groupByFolder(workList),
+            largestFiles: [...workList].sort((a, b) => b.size - a.size).slice(0, this.options.largestCount).map(describeFile),
+            needsSanitizing: workList.filter(file => this.processor.needsSanitization(file.name)).map(describeFile),
+            collisions: {
+                policy: collisions.policy,
+                renamed: collisions.renamed,
+                skipped: collisions.skipped
+            },
+            filtered: this.processor.filteredOut, // { relativePath, fullPath, reason, isFolder }
+            estimate: estimate
+        };
+    }
+
+    // Count and size per source extension (.jpeg counted as .jpg)
+    groupByFormat(files) {
+        const formats = new Map();
+        for (const file of files) {
+            const extension = file.extension === '.jpeg' ? '.jpg' : file.extension === '.tif' ? '.tiff' : file.extension;
+            const entry = formats.get(extension) || { extension: extension, count: 0, size: 0 };
+            entry.count++;
+            entry.size += file.size;
+            formats.set(extension, entry);
+        }
+        return [...formats.values()].sort((a, b) => b.size - a.size);
+    }
+
+    // Count and size per subfolder, nested files included - the paths the preview
+    // can deselect (a folder's absolute path excludes everything inside it)
+    groupByFolder(files) {
+        const folders = new Map();
+        for (const file of files) {
+            let relativeFolder = path.dirname(file.relativePath);
+            let fullFolder = path.dirname(file.fullPath);
+            while (relativeFolder !== '.' && fullFolder !== file.sourceRoot && fullFolder.startsWith(file.sourceRoot)) {
+                const entry = folders.get(fullFolder) || { relativePath: relativeFolder, fullPath: fullFolder, count: 0, size: 0 };
+                entry.count++;
+                entry.size += file.size;
+                folders.set(fullFolder, entry);
+                relativeFolder = path.dirname(relativeFolder);
+                fullFolder = path.dirname(fullFolder);
+            }
+        }
+        return [...folders.values()]
+            .sort((a, b) => b.size - a.size)
+            .slice(0, this.options.folderCount)
+            .sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+    }
+
+    // Encode a sample spread over the size range and scale its output/input ratio
+    // up to the whole selection, per output format
+    async estimate(files, totalSize, report) {
+        const sample = this.pickSample(files);
+        const formats = new Map(); // format -> { outputSize }
+        let sampleInputSize = 0;
+        let encodeTime = 0;
+        const failed = [];
+
+        for (let i = 0; i < sample.length; i++) {
+            this.checkCancelled();
+            const file = sample[i];
+            report(`Estimating savings (${i + 1}/${sample.length}): ${file.name}`);
+
+            const startTime = Date.now();
+            try {
+                const outputs = await this.processor.measureSampleOutputs(file);
+                for (const output of outputs) {
+                    // Responsive sets: all widths of a format add up
+                    const entry = formats.get(output.format) || { outputSize: 0 };
+                    entry.outputSize += output.size;
+                    formats.set(output.format, entry);
+                }
+                sampleInputSize += file.size;
+                encodeTime += Date.now() - startTime;
+            } catch (error) {
+                if (this.processor.isCancelled) {
+                    throw error;
+                }
+                console.log(`Scan preview: sample ${file.relativePath} failed: ${error.message}`);
+                failed.push(file.relativePath);
+            }
+        }
+
+        const sampled = sample.length - failed.length;
+        if (sampled === 0) {
+            return null;
+        }
+
+        const estimates = [...formats.entries()].map(([format, entry]) => {
+            const ratio = sampleInputSize > 0 ? entry.outputSize / sampleInputSize : 1;
+            return {
+                format: format,
+                ratio: ratio,
+                outputSize: Math.round(totalSize * ratio),
+                savings: Math.round(totalSize * (1 - ratio))
+            };
+        });
+
+        // Encoding time scales with the bytes; files run in parallel, one per worker
+        const concurrency = this.processor.getConcurrency(files.length);
+        const seconds = sampleInputSize > 0 ? encodeTime / sampleInputSize * totalSize / concurrency / 1000 : 0;
+        return {
+            sampleFiles: sampled,
+            failedSamples: failed,
+            formats: estimates,
+            outputSize: estimates[0].outputSize, // Primary format
+            seconds: Math.round(seconds)
+        };
+    }
+
+    // Up to sampleSize files, evenly spaced over the bytes of the files sorted by size -
+    // the few large files that make up most of a folder are always sampled. Spare places
+    // (fewer distinct files than places) are filled evenly spaced by count.
+    pickSample(files) {
+        const sorted = [...files].sort((a, b) => a.size - b.size);
+        const count = Math.min(this.options.sampleSize, sorted.length);
+        const totalSize = sorted.reduce((total, file) => total + file.size, 0);
+        const sample = new Set();
+
+        let index = 0;
+        let cumulativeSize = 0;
+        for (let i = 0; i < count && totalSize > 0; i++) {
+            const position = (i + 0.5) * totalSize / count;
+            while (index < sorted.length - 1 && cumulativeSize + sorted[index].size < position) {
+                cumulativeSize += sorted[index++].size;
+            }
+            sample.add(sorted[index]);
+        }
+        const evenlyByCount = Array.from({ length: count }, (_, i) => sorted[Math.floor((i + 0.5) * sorted.length / count)]);
+        for (const file of [...evenlyByCount, ...sorted]) {
+            if (sample.size >= count) {
+                break;
+            }
+            sample.add(file);
+        }
+        return [...sample];
+    }
+
+    checkCancelled() {
+        if (this.processor.isCancelled) {
+            throw new Error('Scan preview cancelled');
+        }
+    }
+}
+
+ScanPreview.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = ScanPreview;
@@ -0,0 +1,152 @@
+/*
+ * settingsStore.js - Persistent Settings Store
+ *
+ * Handles:
+ * - Loading and saving settings as JSON in the app's userData directory
+ * - Encoder options (formats, preset, custom settings, collision, animation, metadata, target size,
+ *   quality guard, resize, responsive widths)
+ * - Output location rules
+ * - Folder scan filters (patterns, depth, hidden folders, size and dimension thresholds)
+ * - Job queue concurrency
+ * - Scan preview before compressing (on/off)
+ * - Most-recently-used list of source folders
+ * - Backup folder of the last in-place run (for undo)
+ * - Remaining work of a paused run (resumed after a restart)
+ * - Falling back to defaults for missing or corrupt settings files
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+
+const MAX_RECENT_FOLDERS = 8;
+
+// Settings written on first launch and used to fill gaps in older files
+const DEFAULT_SETTINGS = {
+    encoder: {
+        formats: ['webp'],
+        preset: 'fastest',
+        customSettings: null,
+        collisionPolicy: 'keep-extension',
+        concurrency: 0, // 0 = one file per CPU core
+        growthPolicy: 'retry',
+        flattenAnimations: false,
+        metadataPolicy: 'strip',
+        targetSize: {
+            mode: 'none', // 'none', 'image' (maxKB per image) or 'budget' (budgetKB for the run)
+            maxKB: 200,
+            budgetKB: 5000,
+            minQuality: 20,
+            allowDownscale: false
+        },
+        qualityGuard: {
+            enabled: false,
+            minScore: 0.95, // SSIM
+            maxQuality: 95
+        },
+        resize: {
+            mode: 'none', // 'none', 'max' (width/height), 'longest' (edge) or 'percent'
+            maxWidth: 1920,
+            maxHeight: null,
+            longestEdge: 1920,
+            percent: 50,
+            fit: 'inside',
+            withoutEnlargement: true,
+            kernel: 'lanczos3'
+        },
+        responsive: {
+            enabled: false,
+            widths: [320, 640, 1280, 1920]
+        }
+    },
+    output: {
+        location: 'sibling', // 'sibling' - next to the source, 'directory' - inside output.directory
+        directory: null,
+        suffix: '_compressed',
+        incremental: false, // Reuse the output folder and skip unchanged sources
+        pruneDeleted: false, // Incremental: remove outputs of deleted sources
+        inPlace: false // Replace originals (backed up, undo with "Undo last run")
+    },
+    scan: {
+        include: [], // Glob patterns, e.g. *.jpg or photos/**
+        exclude: [], // Glob patterns, e.g. node_modules or **/thumbs
+        maxDepth: null, // Subfolder levels, null = all
+        skipHidden: false,
+        minFileSizeKB: null,
+        maxFileSizeKB: null,
+        minDimension: null, // Shorter side in pixels
+        maxDimension: null // Longer side in pixels
+    },
+    jobConcurrency: 1, // Queued jobs running at the same time
+    previewFirst: false, // Show the scan preview before compressing a selection
+    recentFolders: [],
+    lastInPlaceRun: null, // { backupFolder, time } of the last in-place run, for undo
+    pausedRun: null // { inputPaths, options, outputPath, remainingFiles, time } of a paused run
+};
+
+class SettingsStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+    }
+
+    // Load settings from disk, keeping defaults for anything missing
+    async load() {
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8');
+            this.settings = this.merge(DEFAULT_SETTINGS, JSON.parse(content));
+            console.log('Settings loaded from', this.filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading settings, using defaults:', error.message);
+            }
+            this.settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+        }
+        return this.get();
+    }
+
+    // Save settings - write to a temp file first so a crash never leaves half a file
+    async save() {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(this.settings, null, 2), 'utf8');
+        await fs.rename(tempPath, this.filePath);
+    }
+
+    // Get a copy of the current settings
+    get() {
+        return JSON.parse(JSON.stringify(this.settings));
+    }
+
+    // Update settings with a partial object (sections are merged, arrays replaced)
+    async set(partialSettings) {
+        this.settings = this.merge(this.settings, partialSettings || {});
+        this.settings.recentFolders = this.settings.recentFolders.slice(0, MAX_RECENT_FOLDERS);
+        await this.save();
+        return this.get();
+    }
+
+    // Move a folder to the top of the recent folders list
+    async addRecentFolder(folderPath) {
+        const recentFolders = this.settings.recentFolders.filter(folder => folder !== folderPath);
+        recentFolders.unshift(folderPath);
+        return this.set({ recentFolders: recentFolders });
+    }
+
+    // Merge plain objects recursively - arrays and other values replace the target
+    merge(target, source) {
+        const result = { ...target };
+
+        for (const [key, value] of Object.entries(source)) {
+            const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+            const targetIsPlainObject = result[key] && typeof result[key] === 'object' && !Array.isArray(result[key]);
+
+            result[key] = isPlainObject && targetIsPlainObject
+                ? this.merge(result[key], value)
+                : value;
+        }
+
+        return result;
+    }
+}
+
+module.exports = SettingsStore;
@@ -0,0 +1,94 @@
+/*
+ * targetSizeEncoder.js - Encoding to a Maximum File Size
+ *
+ * Handles:
+ * - Binary search for the highest encoder quality whose output fits a byte target
+ * - Optionally stepping the resolution down when even the lowest quality is too big
+ * - Lossless formats (no quality setting) - only the resolution can change
+ * - Reporting the chosen quality and scale, and whether the target was reached
+ */
+
+const DEFAULT_OPTIONS = {
+    minQuality: 20, // Lowest quality the search may choose
+    allowDownscale: false, // Step the resolution down when minQuality doesn't fit
+    minScale: 0.25, // Smallest scale factor when downscaling
+    scaleStep: 0.85 // Each downscale step keeps this share of the width and height
+};
+
+class TargetSizeEncoder {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    // Find the best encode that fits targetBytes.
+    // attempt(quality, scale) encodes once and resolves with Sharp's { data, info };
+    // maxQuality is the configured quality (null for lossless formats).
+    // Resolves with { data, info, quality, scale, fits, attempts } - when nothing fits,
+    // the smallest output tried (lowest quality at the lowest scale) with fits: false.
+    async encode(attempt, maxQuality, targetBytes) {
+        const minQuality = maxQuality === null ? null : Math.min(this.options.minQuality, maxQuality);
+        let attempts = 0;
+
+        const tryEncode = async (quality, scale) => {
+            attempts++;
+            const { data, info } = await attempt(quality, scale);
+            return { data, info, quality, scale, fits: data.length <= targetBytes };
+        };
+        const done = (result) => ({ ...result, attempts: attempts });
+
+        let smallest = null;
+        for (const scale of this.getScales()) {
+            // Most files fit at the configured quality - one encode, no search
+            if (scale === 1 || minQuality === null) {
+                const top = await tryEncode(maxQuality, scale);
+                if (top.fits) {
+                    return done(top);
+                }
+                smallest = top;
+                if (minQuality === null || minQuality === maxQuality) {
+                    continue;
+                }
+            }
+
+            const bottom = await tryEncode(minQuality, scale);
+            if (!bottom.fits) {
+                smallest = bottom;
+                continue;
+            }
+
+            // bottom fits and the configured quality doesn't (or wasn't tried at this scale):
+            // highest quality in between that still fits
+            let best = bottom;
+            let low = minQuality;
+            let high = scale === 1 ? maxQuality - 1 : maxQuality;
+            while (low < high) {
+                const middle = Math.ceil((low + high) / 2);
+                const result = await tryEncode(middle, scale);
+                if (result.fits) {
+                    best = result;
+                    low = middle;
+                } else {
+                    high = middle - 1;
+                }
+            }
+            return done(best);
+        }
+
+        return done(smallest);
+    }
+
+    // Scale factors to try: full size, then smaller steps down to minScale (if allowed)
+    getScales() {
+        const scales = [1];
+        if (this.options.allowDownscale) {
+            for (let scale = this.options.scaleStep; scale >= this.options.minScale; scale *= this.options.scaleStep) {
+                scales.push(Math.round(scale * 1000) / 1000);
+            }
+        }
+        return scales;
+    }
+}
+
+TargetSizeEncoder.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = TargetSizeEncoder;
@@ -0,0 +1,56 @@
+/*
+ * xmpReader.js - Minimal XMP Rights Reader
+ *
+ * Handles:
+ * - Finding the Dublin Core rights and creator properties (dc:rights, dc:creator)
+ *   in the raw XMP packet Sharp returns in metadata().xmp
+ * - Building a new packet with only those properties, for Sharp's withXmp()
+ * - Ignoring missing or malformed packets instead of failing the file
+ */
+
+const DC_NAMESPACE = 'http://purl.org/dc/elements/1.1/';
+const RDF_NAMESPACE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+
+class XmpReader {
+    // Copy the named dc: properties (rights, creator, ...) into a new XMP packet.
+    // Returns null when the source has none of them.
+    buildPacket(xmpBuffer, propertyNames = ['rights', 'creator']) {
+        if (!Buffer.isBuffer(xmpBuffer) || xmpBuffer.length === 0) {
+            return null;
+        }
+
+        const xmp = xmpBuffer.toString('utf8');
+        const properties = [];
+        for (const name of propertyNames) {
+            // Element form - the rdf:Alt / rdf:Seq list with every language and name
+            const element = xmp.match(new RegExp(`<dc:${name}\\b[^>]*>[\\s\\S]*?</dc:${name}>`));
+            if (element) {
+                properties.push(element[0]);
+                continue;
+            }
+            // Attribute form on rdf:Description - a single plain value
+            const attribute = xmp.match(new RegExp(`\\sdc:${name}="([^"]*)"`));
+            if (attribute && attribute[1].trim()) {
+                properties.push(`<dc:${name}>${attribute[1]}</dc:${name}>`);
+            }
+        }
+
+        if (properties.length === 0) {
+            return null;
+        }
+
+        return [
+            '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+            '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+            `<rdf:RDF xmlns:rdf="${RDF_NAMESPACE}">`,
+            `<rdf:Description rdf:about="" xmlns:dc="${DC_NAMESPACE}">`,
+            ...properties,
+            '</rdf:Description>',
+            '</rdf:RDF>',
+            '</x:xmpmeta>',
+            '<?xpacket end="w"?>'
+        ].join('\n');
+    }
+}
+
+module.exports = XmpReader;